@@ -0,0 +1,480 @@
+// WebGL renderer for resources and probes (vnp.js Rendering): each layer is one instanced draw
+// call per shape kind instead of a p5 call per shape, so every probe in view is drawn in full
+// detail at any count. It draws into a canvas of its own that renderScene copies onto the p5 canvas
+// between its layers (stars, resources, waypoints and warp machines, probes). Positions go to the
+// GPU in world coordinates and the vertex shaders wrap them around the camera, like wrapDeltaFast.
+// Needs WebGL2; ?gl=0, a browser without it or a lost context keep the p5 drawing, which still
+// simplifies probes past LOD_SIMPLIFY_AT and skips some past LOD_DOWNSAMPLE_AT (vnp.js drawProbes).
+
+let glView = null; // { canvas, gl, discs, probes, segments } while in use
+
+// Floats per instance (see the a* attributes of each program)
+const GL_DISC_FLOATS = 5; // x, y, radius, amount fraction, style
+const GL_PROBE_FLOATS = 6; // x, y, heading, color index, bits, fade
+const GL_SEGMENT_FLOATS = 9; // x0, y0, x1, y1, r, g, b, a, width
+const GL_PROBE_PLAYER = 1;
+const GL_PROBE_FOCUS = 2;
+
+// Resource looks, as in drawResources: [glow rgba, body rgb + alpha at amount 0, core rgba, radii (glow, body, core) / radius]
+const GL_RESOURCE_STYLES = {
+  common: [[30, 120, 255, 26], [70, 170, 255, 70], [190, 230, 255, 210], [1.6, 1, 0.375]],
+  rich: [[190, 120, 255, 22], [220, 170, 255, 80], [255, 245, 255, 220], [1.8, 1.05, 0.4]],
+};
+
+const GL_HEADER = `#version 300 es
+precision highp float;
+`;
+
+const GL_CAMERA = `
+uniform vec2 uCam;
+uniform vec2 uWorld;
+uniform vec2 uView;
+uniform float uZoom;
+
+vec2 wrapDelta(vec2 p) {
+  return mod(p - uCam + uWorld * 0.5, uWorld) - uWorld * 0.5;
+}
+
+vec4 toClip(vec2 screen) {
+  vec2 c = screen / (uView * 0.5);
+  return vec4(c.x, -c.y, 0.0, 1.0);
+}
+`;
+
+// Premultiplied "over" for layers drawn back to front
+const GL_OVER = `
+vec4 over(vec4 dst, vec3 rgb, float a) {
+  return vec4(rgb * a, a) + dst * (1.0 - a);
+}
+
+float disc(float d, float r, float px) {
+  return clamp(0.5 - (d - r) / px, 0.0, 1.0);
+}
+`;
+
+const GL_DISC_VS = `${GL_HEADER}${GL_CAMERA}
+uniform vec4 uGlow[8];
+uniform vec4 uBody[8];
+uniform vec4 uCore[8];
+uniform vec3 uScale[8];
+in vec2 aCorner;
+in vec2 aPos;
+in float aRadius;
+in float aFrac;
+in float aStyle;
+out vec2 vLocal;
+flat out vec4 vGlow;
+flat out vec4 vBody;
+flat out vec4 vCore;
+flat out vec3 vRadii;
+
+void main() {
+  int s = int(aStyle + 0.5);
+  vRadii = uScale[s] * aRadius;
+  vGlow = uGlow[s];
+  vBody = vec4(uBody[s].rgb, mix(uBody[s].a, 1.0, aFrac));
+  vCore = uCore[s];
+  vLocal = aCorner * (vRadii.x + 2.0 / uZoom);
+  gl_Position = toClip((wrapDelta(aPos) + vLocal) * uZoom);
+}
+`;
+
+const GL_DISC_FS = `${GL_HEADER}${GL_OVER}
+uniform float uZoom;
+in vec2 vLocal;
+flat in vec4 vGlow;
+flat in vec4 vBody;
+flat in vec4 vCore;
+flat in vec3 vRadii;
+out vec4 outColor;
+
+void main() {
+  float px = 1.0 / uZoom;
+  float d = length(vLocal);
+  vec4 c = vec4(0.0);
+  c = over(c, vGlow.rgb, vGlow.a * disc(d, vRadii.x, px));
+  c = over(c, vBody.rgb, vBody.a * disc(d, vRadii.y, px));
+  c = over(c, vCore.rgb, vCore.a * disc(d, vRadii.z, px));
+  if (c.a <= 0.0) discard;
+  outColor = c;
+}
+`;
+
+const GL_PROBE_VS = `${GL_HEADER}${GL_CAMERA}
+uniform float uRadius;
+in vec2 aCorner;
+in vec2 aPos;
+in float aHeading;
+in float aColor;
+in float aBits;
+in float aFade;
+out vec2 vLocal;
+flat out float vHeading;
+flat out int vColor;
+flat out int vBits;
+flat out float vFade;
+
+void main() {
+  vHeading = aHeading;
+  vColor = int(aColor + 0.5);
+  vBits = int(aBits + 0.5);
+  vFade = aFade;
+  vLocal = aCorner * (uRadius * 2.0 + 2.0 / uZoom);
+  gl_Position = toClip((wrapDelta(aPos) + vLocal) * uZoom);
+}
+`;
+
+// The ship is drawProbeAt's arrowhead; its signed distance (negative inside) gives fill and outline
+const GL_PROBE_FS = `${GL_HEADER}${GL_OVER}
+uniform float uZoom;
+uniform float uRadius;
+uniform vec3 uFaction[8];
+in vec2 vLocal;
+flat in float vHeading;
+flat in int vColor;
+flat in int vBits;
+flat in float vFade;
+out vec4 outColor;
+
+float sdShip(vec2 p, float r) {
+  vec2 v[4] = vec2[4](vec2(1.35, 0.0) * r, vec2(-0.9, 0.9) * r, vec2(-0.55, 0.0) * r, vec2(-0.9, -0.9) * r);
+  float d = dot(p - v[0], p - v[0]);
+  float s = 1.0;
+  for (int i = 0, j = 3; i < 4; j = i, i++) {
+    vec2 e = v[j] - v[i];
+    vec2 w = p - v[i];
+    vec2 b = w - e * clamp(dot(w, e) / dot(e, e), 0.0, 1.0);
+    d = min(d, dot(b, b));
+    bvec3 c = bvec3(p.y >= v[i].y, p.y < v[j].y, e.x * w.y > e.y * w.x);
+    if (all(c) || all(not(c))) s = -s;
+  }
+  return s * sqrt(d);
+}
+
+void main() {
+  float px = 1.0 / uZoom;
+  float r = uRadius;
+  bool player = (vBits & 1) != 0;
+  vec3 col = player ? vec3(120.0, 255.0, 140.0) / 255.0 : uFaction[vColor];
+  float d = length(vLocal);
+
+  float cs = cos(vHeading), sn = sin(vHeading);
+  vec2 q = vec2(cs * vLocal.x + sn * vLocal.y, -sn * vLocal.x + cs * vLocal.y);
+  float ship = sdShip(q, r);
+
+  vec4 c = vec4(0.0);
+  c = over(c, col, (player ? 38.0 : 28.0) / 255.0 * vFade * disc(d, r * 2.0, px));
+  c = over(c, col, (player ? 220.0 : 200.0) / 255.0 * vFade * clamp(0.5 - ship / px, 0.0, 1.0));
+  c = over(c, vec3(1.0), 80.0 / 255.0 * vFade * clamp(0.5 - (abs(ship) - 0.6) / px, 0.0, 1.0));
+  c = over(c, vec3(1.0), 220.0 / 255.0 * vFade * disc(length(q - vec2(-0.2 * r, 0.0)), r * 0.375, px));
+  if ((vBits & 2) != 0) {
+    c = over(c, vec3(255.0, 230.0, 120.0) / 255.0, 160.0 / 255.0 * clamp(0.5 - (abs(d - r * 1.6) - 1.0) / px, 0.0, 1.0));
+  }
+  if (c.a <= 0.0) discard;
+  outColor = c;
+}
+`;
+
+// Lines between two wrapped points (sacrifice beams, target lines), width in world units
+const GL_SEGMENT_VS = `${GL_HEADER}${GL_CAMERA}
+in vec2 aCorner;
+in vec2 aA;
+in vec2 aB;
+in vec4 aColor;
+in float aWidth;
+out float vAcross;
+flat out float vHalf;
+flat out vec4 vColor;
+
+void main() {
+  vec2 a = wrapDelta(aA) * uZoom;
+  vec2 b = wrapDelta(aB) * uZoom;
+  vec2 dir = b - a;
+  float len = length(dir);
+  dir = len > 0.0 ? dir / len : vec2(1.0, 0.0);
+  vHalf = aWidth * uZoom * 0.5;
+  vAcross = aCorner.y * (vHalf + 1.0);
+  vColor = aColor;
+  gl_Position = toClip(mix(a, b, aCorner.x) + vec2(-dir.y, dir.x) * vAcross);
+}
+`;
+
+const GL_SEGMENT_FS = `${GL_HEADER}
+in float vAcross;
+flat in float vHalf;
+flat in vec4 vColor;
+out vec4 outColor;
+
+void main() {
+  float a = vColor.a * clamp(vHalf + 0.5 - abs(vAcross), 0.0, 1.0);
+  if (a <= 0.0) discard;
+  outColor = vec4(vColor.rgb * a, a);
+}
+`;
+
+function startGLRenderer() {
+  if (typeof document === "undefined" || typeof location === "undefined") return false;
+  if (new URLSearchParams(location.search).get("gl") === "0") return false;
+
+  const canvas = document.createElement("canvas");
+  const gl = canvas.getContext ? canvas.getContext("webgl2", { premultipliedAlpha: true, antialias: false }) : null;
+  if (!gl) return false;
+
+  try {
+    glView = {
+      canvas,
+      gl,
+      discs: glProgram(gl, GL_DISC_VS, GL_DISC_FS, ["aPos", 2, "aRadius", 1, "aFrac", 1, "aStyle", 1]),
+      probes: glProgram(gl, GL_PROBE_VS, GL_PROBE_FS, ["aPos", 2, "aHeading", 1, "aColor", 1, "aBits", 1, "aFade", 1]),
+      segments: glProgram(gl, GL_SEGMENT_VS, GL_SEGMENT_FS, ["aA", 2, "aB", 2, "aColor", 4, "aWidth", 1]),
+    };
+  } catch (e) {
+    glView = null;
+    flashMessage(`WebGL renderer: ${e.message}`);
+    return false;
+  }
+
+  canvas.addEventListener("webglcontextlost", () => {
+    glView = null;
+    flashMessage("WebGL context lost, drawing with p5");
+  });
+  return true;
+}
+
+// Program plus its vertex array: a unit quad per instance, then the instance attributes in
+// `layout` order (name, size, ...) read from one interleaved float buffer
+function glProgram(gl, vsSrc, fsSrc, layout) {
+  const compile = (type, src) => {
+    const sh = gl.createShader(type);
+    gl.shaderSource(sh, src);
+    gl.compileShader(sh);
+    if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(sh));
+    return sh;
+  };
+  const prog = gl.createProgram();
+  gl.attachShader(prog, compile(gl.VERTEX_SHADER, vsSrc));
+  gl.attachShader(prog, compile(gl.FRAGMENT_SHADER, fsSrc));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(prog));
+
+  const vao = gl.createVertexArray();
+  gl.bindVertexArray(vao);
+
+  // Segments go from corner.x 0 to 1; discs and probes span -1..1
+  const segment = layout[0] === "aA";
+  const quad = segment ? [0, -1, 1, -1, 0, 1, 1, 1] : [-1, -1, 1, -1, -1, 1, 1, 1];
+  const corners = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, corners);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(quad), gl.STATIC_DRAW);
+  const aCorner = gl.getAttribLocation(prog, "aCorner");
+  gl.enableVertexAttribArray(aCorner);
+  gl.vertexAttribPointer(aCorner, 2, gl.FLOAT, false, 0, 0);
+
+  let stride = 0;
+  for (let i = 1; i < layout.length; i += 2) stride += layout[i];
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  let offset = 0;
+  for (let i = 0; i < layout.length; i += 2) {
+    const loc = gl.getAttribLocation(prog, layout[i]);
+    const size = layout[i + 1];
+    if (loc >= 0) {
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, size, gl.FLOAT, false, stride * 4, offset * 4);
+      gl.vertexAttribDivisor(loc, 1);
+    }
+    offset += size;
+  }
+  gl.bindVertexArray(null);
+
+  const uniforms = {};
+  const nu = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < nu; i++) {
+    const name = gl.getActiveUniform(prog, i).name.replace(/\[0\]$/, "");
+    uniforms[name] = gl.getUniformLocation(prog, name);
+  }
+
+  return { prog, vao, buffer, uniforms, stride, data: new Float32Array(stride * 1024), count: 0 };
+}
+
+// Room for n more instances
+function glReserve(p, n) {
+  const need = (p.count + n) * p.stride;
+  if (need <= p.data.length) return;
+  let len = p.data.length;
+  while (len < need) len *= 2;
+  const a = new Float32Array(len);
+  a.set(p.data.subarray(0, p.count * p.stride));
+  p.data = a;
+}
+
+function glFlush(p, camX, camY) {
+  if (p.count === 0) return;
+  const gl = glView.gl;
+  const u = p.uniforms;
+  gl.useProgram(p.prog);
+  gl.uniform2f(u.uCam, camX, camY);
+  gl.uniform2f(u.uWorld, WORLD.w, WORLD.h);
+  gl.uniform2f(u.uView, glView.canvas.width, glView.canvas.height);
+  gl.uniform1f(u.uZoom, zoom);
+  if (u.uRadius) gl.uniform1f(u.uRadius, PROBE_RADIUS);
+  if (u.uFaction) gl.uniform3fv(u.uFaction, glFactionColors());
+  if (u.uGlow) glResourceUniforms(gl, u);
+
+  gl.bindVertexArray(p.vao);
+  gl.bindBuffer(gl.ARRAY_BUFFER, p.buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, p.data.subarray(0, p.count * p.stride), gl.STREAM_DRAW);
+  gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, p.count);
+  gl.bindVertexArray(null);
+  p.count = 0;
+}
+
+// Canvas matching the p5 one, cleared to transparent
+function glBegin() {
+  const gl = glView.gl;
+  const target = drawingContext.canvas;
+  if (glView.canvas.width !== target.width || glView.canvas.height !== target.height) {
+    glView.canvas.width = target.width;
+    glView.canvas.height = target.height;
+  }
+  gl.viewport(0, 0, glView.canvas.width, glView.canvas.height);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+}
+
+// Copies the layer onto the p5 canvas, whatever p5's transform is
+function glComposite() {
+  const ctx = drawingContext;
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.drawImage(glView.canvas, 0, 0);
+  ctx.restore();
+}
+
+function glFactionColors() {
+  const out = new Float32Array(8 * 3);
+  for (let i = 0; i < 8; i++) {
+    const c = FACTION_COLORS[i % FACTION_COLORS.length];
+    out.set([c[0] / 255, c[1] / 255, c[2] / 255], i * 3);
+  }
+  return out;
+}
+
+// Style index (aStyle): 0 common, 1 rich, 2 + mat for materials, 5 + mat for rich materials
+function glResourceStyle(r) {
+  if (!MATERIALS_ON) return r.kind === 0 ? 0 : 1;
+  return (r.kind === 0 ? 2 : 5) + r.mat;
+}
+
+function glResourceUniforms(gl, u) {
+  const glow = new Float32Array(8 * 4);
+  const body = new Float32Array(8 * 4);
+  const core = new Float32Array(8 * 4);
+  const scale = new Float32Array(8 * 3);
+  const put = (i, st) => {
+    glow.set(st[0].map((v) => v / 255), i * 4);
+    body.set(st[1].map((v) => v / 255), i * 4);
+    core.set(st[2].map((v) => v / 255), i * 4);
+    scale.set(st[3], i * 3);
+  };
+  put(0, GL_RESOURCE_STYLES.common);
+  put(1, GL_RESOURCE_STYLES.rich);
+  for (let m = 0; m < MATERIALS.length; m++) {
+    const c = MATERIAL_COLORS[m];
+    for (const [base, big] of [[2, 1], [5, 1.12]]) {
+      put(base + m, [[c[0], c[1], c[2], 24], [c[0], c[1], c[2], 70], [245, 245, 255, 215], [1.7 * big, big, 0.375]]);
+    }
+  }
+  gl.uniform4fv(u.uGlow, glow);
+  gl.uniform4fv(u.uBody, body);
+  gl.uniform4fv(u.uCore, core);
+  gl.uniform3fv(u.uScale, scale);
+}
+
+// Same culling as drawResources
+function glDrawResources(camX, camY) {
+  const halfW = width / (2 * zoom) + DRAW_MARGIN;
+  const halfH = height / (2 * zoom) + DRAW_MARGIN;
+  const p = glView.discs;
+
+  glReserve(p, resourceActive.length);
+  const d = p.data;
+  for (let i = 0; i < resourceActive.length; i++) {
+    const r = resources[resourceActive[i]];
+    if (abs(wrapDeltaFast(r.x - camX, WORLD.w)) > halfW || abs(wrapDeltaFast(r.y - camY, WORLD.h)) > halfH) continue;
+
+    const o = p.count++ * GL_DISC_FLOATS;
+    d[o] = r.x;
+    d[o + 1] = r.y;
+    d[o + 2] = r.radius;
+    d[o + 3] = r.maxAmt > 0 ? r.amt / r.maxAmt : 0;
+    d[o + 4] = glResourceStyle(r);
+  }
+
+  glBegin();
+  glFlush(p, camX, camY);
+  glComposite();
+}
+
+// Every probe in view in full detail (no LOD): beams and target lines first, then the probes
+// in slot order. The player and the focus are always drawn.
+function glDrawProbes(camX, camY) {
+  const halfW = width / (2 * zoom) + DRAW_MARGIN;
+  const halfH = height / (2 * zoom) + DRAW_MARGIN;
+  const P = probes;
+  const ps = glView.probes;
+  const seg = glView.segments;
+  const ncol = FACTION_COLORS.length;
+
+  glReserve(ps, P.n);
+  for (let i = 0; i < P.n; i++) {
+    const flags = P.flags[i];
+    if (flags & PF_DEAD) continue;
+    const x = P.x[i],
+      y = P.y[i];
+    const player = (flags & PF_PLAYER) !== 0;
+    const focused = P.id[i] === camFocus.id;
+    if (!player && !focused && (abs(wrapDeltaFast(x - camX, WORLD.w)) > halfW || abs(wrapDeltaFast(y - camY, WORLD.h)) > halfH)) continue;
+
+    const m = factions[P.faction[i]].master;
+    const sacrificing = (flags & PF_SACRIFICING) !== 0;
+    if (sacrificing && m.waypoint) {
+      glSegment(seg, x, y, m.waypoint.x, m.waypoint.y, 255, 210, 120, map(P.sacrificeT[i], 0, 1.25, 0, 120, true), 2);
+    }
+    if (!player && m.state === "NORMAL" && P.target[i] >= 0) {
+      const tr = resources[P.target[i]];
+      if (tr && tr.amt > 0.001) glSegment(seg, x, y, tr.x, tr.y, 160, 210, 255, 18, 1);
+    }
+
+    const o = ps.count++ * GL_PROBE_FLOATS;
+    const d = ps.data;
+    d[o] = x;
+    d[o + 1] = y;
+    d[o + 2] = P.heading[i];
+    d[o + 3] = P.faction[i] % ncol;
+    d[o + 4] = (player ? GL_PROBE_PLAYER : 0) | (focused ? GL_PROBE_FOCUS : 0);
+    d[o + 5] = sacrificing ? map(P.sacrificeT[i], 0, 1.25, 0, 1, true) : 1;
+  }
+
+  glBegin();
+  glFlush(seg, camX, camY);
+  glFlush(ps, camX, camY);
+  glComposite();
+}
+
+function glSegment(p, x0, y0, x1, y1, r, g, b, a, w) {
+  glReserve(p, 1);
+  const o = p.count++ * GL_SEGMENT_FLOATS;
+  const d = p.data;
+  d[o] = x0;
+  d[o + 1] = y0;
+  d[o + 2] = x1;
+  d[o + 3] = y1;
+  d[o + 4] = r / 255;
+  d[o + 5] = g / 255;
+  d[o + 6] = b / 255;
+  d[o + 7] = a / 255;
+  d[o + 8] = w;
+}
@@ -0,0 +1,176 @@
+// Headless runner: steps sim.js under Node without p5 or a canvas.
+//
+//   node headless.js --seed 42 --founders 4 --seconds 600 --every 10
+//   node headless.js --replay vnp-replay.json          (re-runs a replay saved from the browser)
+//   node headless.js --seed 42 --telemetry run.csv      (also writes the per-second telemetry, .csv or .json)
+//   node headless.js --config cfg.json --set radarRange=1500 --set NUM_RES_RICH=300
+//   node headless.js --seed 42 --lineages 5         (ends with the 5 largest founder lineages)
+//   node headless.js --bench 10000,100000,1000000   (steps/s with that many probes; 1M wants --max-old-space-size=4096)
+//   node headless.js --seed 42 --seconds 280 --check-rewind 160   (rewinds to 160s at the end, reruns, compares)
+//
+// Prints one line per report interval (sim seconds) and a summary at the end.
+
+const fs = require("fs");
+const sim = require("./sim.js");
+
+function parseArgs(argv) {
+  const opts = { seed: 1, founders: 4, seconds: 600, every: 10, replay: null, telemetry: null, lineages: 0, bench: null, checkRewind: null, config: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const k = a.slice(2);
+    const v = argv[i + 1];
+    i++;
+    if (k === "seed") opts.seed = sim.parseSeed(v);
+    else if (k === "founders") opts.founders = parseInt(v, 10);
+    else if (k === "seconds") opts.seconds = parseFloat(v);
+    else if (k === "every") opts.every = parseFloat(v);
+    else if (k === "replay") opts.replay = v;
+    else if (k === "telemetry") opts.telemetry = v;
+    else if (k === "lineages") opts.lineages = parseInt(v, 10);
+    else if (k === "bench") opts.bench = v.split(",").map((x) => parseInt(x, 10));
+    else if (k === "check-rewind") opts.checkRewind = parseFloat(v);
+    else if (k === "config") Object.assign(opts.config, JSON.parse(fs.readFileSync(v, "utf8")));
+    else if (k === "set") Object.assign(opts.config, sim.configFromPairs([v]));
+    else throw new Error(`Unknown option --${k}`);
+  }
+  return opts;
+}
+
+function report(t) {
+  const remaining = sim.systemInitialTotal > 0 ? (sim.systemRemainingTotal / sim.systemInitialTotal) * 100 : 0;
+  console.log(
+    `t=${t.toFixed(0).padStart(6)}s  system=${sim.systemIndex}  probes=${String(sim.localPopulation()).padStart(7)}  ` +
+      `remaining=${remaining.toFixed(1).padStart(5)}%  master=${sim.master.state}` +
+      (sim.simConfig.costModel !== "constant" ? `  cost=${sim.replicateCost().toFixed(1)}` : "") +
+      (sim.galaxy ? `  galaxy=#${sim.galaxy.current}` : "") +
+      (sim.simConfig.colonies ? `  galaxyPop=${sim.galaxyPopulation()}  colonies=${sim.galaxy.colonies.length}` : "") +
+      (sim.hybridField ? `  field=${sim.hybridField.n}` : "") +
+      (sim.factions.length > 1 ? `  factions=${sim.factions.map((f) => f.count).join("/")}` : "") +
+      (sim.reliabilityEnabled() ? `  died=${sim.simStats.deaths}  failed=${sim.simStats.failures}  defects=${sim.simStats.defects}` : "")
+  );
+}
+
+// ---------------- Benchmark ----------------
+
+const BENCH_WARMUP_STEPS = 3;
+const BENCH_WALL_S = 5; // per size, after the warm-up
+
+// The player plus n-1 founders around the start, stepped for BENCH_WALL_S of wall time
+function bench(opts) {
+  for (const n of opts.bench) {
+    const t0 = Date.now();
+    sim.initSim({ seed: opts.seed, founders: n - 1, config: opts.config });
+    const init = (Date.now() - t0) / 1000;
+    for (let i = 0; i < BENCH_WARMUP_STEPS; i++) sim.simStep(sim.FIXED_DT);
+
+    let steps = 0;
+    const t1 = Date.now();
+    while (Date.now() - t1 < BENCH_WALL_S * 1000) {
+      sim.simStep(sim.FIXED_DT);
+      steps++;
+    }
+    const wall = (Date.now() - t1) / 1000;
+    console.log(
+      `probes=${String(n).padStart(8)}  steps/s=${(steps / wall).toFixed(1).padStart(7)}  ` +
+        `(${steps} steps in ${wall.toFixed(1)}s, init ${init.toFixed(1)}s, now ${sim.probes.n} probes, ` +
+        `heap ${(process.memoryUsage().heapUsed / 1048576).toFixed(0)} MB)`
+    );
+  }
+}
+
+// ---------------- Rewind check ----------------
+
+// Goes back to the last rewind point at or before `seconds`, steps to the end again and compares
+// the state and telemetry with the first pass (a mismatch fails the run)
+function checkRewind(seconds, totalSteps) {
+  const state = JSON.stringify(sim.serializeSim());
+  const csv = sim.telemetryCSV().join("\n");
+
+  const ticks = sim.rewindTimeline().ticks;
+  let k = -1;
+  for (let i = 0; i < ticks.length; i++) if (ticks[i] <= seconds / sim.FIXED_DT) k = i;
+  if (k < 0) throw new Error(`No rewind point at or before ${seconds}s`);
+  sim.rewindTo(k);
+  for (let step = ticks[k]; step < totalSteps; step++) sim.simStep(sim.FIXED_DT);
+
+  const same = JSON.stringify(sim.serializeSim()) === state && sim.telemetryCSV().join("\n") === csv;
+  console.log(`rewind check: back to ${(ticks[k] * sim.FIXED_DT).toFixed(0)}s, ${same ? "identical" : "DIFFERENT"} at the end`);
+  if (!same) process.exitCode = 1;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.bench) {
+    bench(opts);
+    return;
+  }
+
+  let totalSteps;
+  if (opts.replay) {
+    const rep = JSON.parse(fs.readFileSync(opts.replay, "utf8"));
+    sim.beginPlayback(rep);
+    totalSteps = rep.steps;
+    console.log(`replay=${opts.replay}  seed=${sim.simSeed}  steps=${rep.steps}`);
+  } else {
+    sim.initSim({ seed: opts.seed, founders: opts.founders, config: opts.config });
+    totalSteps = Math.round(opts.seconds / sim.FIXED_DT);
+    console.log(`seed=${sim.simSeed}  founders=${opts.founders}  seconds=${opts.seconds}`);
+    if (opts.checkRewind != null) sim.startRewind();
+  }
+
+  const reportEvery = Math.max(1, Math.round(opts.every / sim.FIXED_DT));
+
+  const t0 = Date.now();
+  for (let step = 1; step <= totalSteps; step++) {
+    sim.simStep(sim.FIXED_DT);
+    if (step % reportEvery === 0) report(step * sim.FIXED_DT);
+  }
+
+  const wall = (Date.now() - t0) / 1000;
+  console.log(`done: ${totalSteps} steps in ${wall.toFixed(1)}s wall (${(totalSteps / Math.max(wall, 1e-3)).toFixed(0)} steps/s)`);
+
+  const samples = sim.telemetry.samples;
+  if (samples.length > 0) {
+    const last = samples[samples.length - 1];
+    const theory = sim.theoreticalGrowth(last.population > 1 ? last.dna.harvest.mean : sim.player.dna.harvest);
+    const measured = sim.measuredDoublingTime(samples, 60);
+    console.log(
+      `doubling time: measured ${isFinite(measured) ? measured.toFixed(1) + "s" : "n/a"} (last 60s), ` +
+        `theoretical ${theory.doubling.toFixed(1)}s`
+    );
+  }
+
+  if (sim.simConfig.comms) {
+    const c = sim.commsComparison();
+    console.log(
+      `comms: radar pings/probe-min ${c.on.pingsPerMin.toFixed(1)} with vs ${c.off.pingsPerMin.toFixed(1)} without, ` +
+        `harvest/probe-s ${c.on.harvestPerSec.toFixed(2)} vs ${c.off.harvestPerSec.toFixed(2)}, ${c.heard} targets heard`
+    );
+  }
+
+  if (opts.lineages > 0) {
+    const tree = sim.lineageTree();
+    console.log(`largest founder lineages (${tree.n} probes built):`);
+    for (const id of sim.topLineages(tree, 0, opts.lineages)) {
+      const info = sim.lineageInfo(id);
+      const alive = tree.alive[id];
+      console.log(
+        `  #${id}  faction=${info.faction}  descendants=${tree.desc[id]}  ` +
+          (alive > 0 ? `alive=${alive} (${((alive / sim.localPopulation()) * 100).toFixed(1)}%)` : "extinct")
+      );
+    }
+  }
+
+  if (opts.checkRewind != null && !opts.replay) checkRewind(opts.checkRewind, totalSteps);
+
+  if (opts.telemetry) {
+    const out = opts.telemetry.endsWith(".json")
+      ? JSON.stringify(sim.telemetryJSON(), null, 2)
+      : sim.telemetryCSV().join("\n") + "\n";
+    fs.writeFileSync(opts.telemetry, out);
+    console.log(`telemetry: ${sim.telemetry.samples.length} samples -> ${opts.telemetry}`);
+  }
+}
+
+main();
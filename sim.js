@@ -0,0 +1,4287 @@
+// Von Neumann Probes — headless simulation core
+// Everything that decides what happens (probes, resources, Master AI, warp) lives here.
+// No p5, no canvas, no keyboard: the player is driven through `playerInput`, so the same
+// file runs in the browser (loaded before vnp.js, which only renders) and under Node:
+//
+//   const sim = require("./sim.js");
+//   sim.initSim({ seed: 42, founders: 4 });
+//   for (let i = 0; i < 50 * 600; i++) sim.simStep(sim.FIXED_DT);
+//
+// In the browser these top-level bindings are shared globals; under Node use the exports at the bottom.
+
+// Values marked (config) are defaults: applyConfig() overwrites them at initSim/restoreSim
+// from a validated config object (URL parameters, a JSON file or --set in headless.js).
+let WORLD = { w: 24000, h: 24000 }; // (config) worldW, worldH
+
+let probes = null; // the current system's probe store (see Probe store)
+let resources = [];
+let resourceActive = []; // indices of active resources (amt>0)
+
+const PLAYER_ID = 0;
+let focusId = PLAYER_ID; // id of the probe the camera follows
+
+let systemIndex = 1;
+let systemInitialTotal = 0; // capacity: sum of maxAmt of every deposit this system has had
+let systemRemainingTotal = 0; // harvestable right now (includes regrowth/respawns)
+let systemInflowTotal = 0; // added after spawnSystem (regrowth + respawns + new deposits)
+
+// Resource density
+let NUM_RES_COMMON = 1200; // (config)
+let NUM_RES_RICH = 140; // (config)
+
+// Probe/resource tuning
+const PROBE_RADIUS = 10;
+const RESOURCE_BASE_R = 8;
+
+let REPLICATE_COST = 100; // (config) base cost; see COST_MODELS
+let COST_MODEL = "constant"; // (config)
+let COST_FORMULA = ""; // (config) for COST_MODEL "formula"
+let COST_DNA_EXPONENT = 1; // (config)
+let COST_POP_SCALE = 10000; // (config) population at which the "population" model doubles the cost
+let COST_SYSTEM_GROWTH = 1.25; // (config) per-system factor of the "system" model
+let CHILD_START_RES = 12; // (config) founders' childRes gene
+let HARD_PROBE_CAP = 1000000; // (config)
+
+// AI auto-replication: fires once resources reach cost * threshold, then cools down.
+// Threshold and mean cooldown are genes (see GENES); these are the founders' values.
+const REPL_THRESHOLD = 1.08;
+const REPL_COOLDOWN_MIN = 1.8;
+const REPL_COOLDOWN_MAX = 3.4;
+const REPL_COOLDOWN_MEAN = (REPL_COOLDOWN_MIN + REPL_COOLDOWN_MAX) / 2;
+
+// Master AI / Warp
+let MASTER_TRIGGER_DEPLETION = 0.90; // (config) 90% depleted => remaining <= 10%
+const RALLY_RADIUS = 260;
+const RALLY_RADIUS2 = RALLY_RADIUS * RALLY_RADIUS;
+let RALLY_FRACTION = 0.65; // (config)
+const RALLY_TIMEOUT = 22;
+const WARP_CHARGE_TIME = 5.5;
+
+// Probe interactions (all off by default: probes pass through each other). See Probe interactions.
+let SEPARATION = 0; // (config) steering away from nearby probes
+let ALIGNMENT = 0; // (config) matching velocity with nearby probes of the same faction
+let COHESION = 0; // (config) steering toward nearby probes of the same faction
+let SOFT_COLLISIONS = 0; // (config) 0/1: overlapping probes are pushed apart
+let FLOCK_RADIUS = 80; // (config) how far a probe looks for neighbors
+
+// Communication (off by default: a probe only knows what its own radar shows). See Communication.
+let COMMS = 0; // (config) 0 off, 1 faction-wide map, 2 range-limited map
+let COMMS_LATENCY = 2; // (config) seconds before a report reaches the map
+let COMMS_RANGE = 4000; // (config) range-limited map: how far away a probe hears about deposits
+let COMMS_SHARE = 0.5; // (config) share of AI probes that take part (the rest are the HUD's comparison group)
+
+// Galaxy (off by default: every warp goes to a fresh random system). See Galaxy.
+let GALAXY_ON = 0; // (config) 0/1
+let GALAXY_SYSTEMS = 24; // (config)
+let GALAXY_LINKS = 3; // (config) warp lanes from each system to its nearest neighbors
+let WARP_TIME_PER_LY = 0.4; // (config) extra charge seconds per light-year to the destination
+
+// Colonies (off by default; needs the galaxy). See Colonies.
+let COLONIES_ON = 0; // (config) 0/1
+let COLONY_MIN_POP = 200; // (config) a faction needs this many probes here to send a colony fleet
+let COLONY_INTERVAL = 60; // (config) sim-seconds between a faction's colony fleets
+let COLONY_FLEET = 0.25; // (config) share of the faction's AI probes that leave with a fleet
+
+// Hybrid agents/field (off by default: every probe is an agent). See Hybrid field.
+let HYBRID_AT = 0; // (config) population from which far-away probes merge into the field; 0 = off
+let HYBRID_RADIUS = 3000; // (config) merged probes this close to the player or the focus become agents again
+let HYBRID_EFFICIENCY = 0.5; // (config) share of its harvest rate a merged probe averages
+let HYBRID_DIFFUSION = 0.5; // (config) cells a merged probe may drift per second
+
+// Reliability (all off by default: probes live forever and copy themselves faithfully).
+// The player is exempt from aging and failures.
+let LIFESPAN = 0; // (config) mean lifespan in sim-seconds; 0 = immortal
+let LIFESPAN_SPREAD = 0.25; // (config) lifespans are uniform in LIFESPAN * (1 +/- spread)
+let FAILURE_INTERVAL = 0; // (config) mean sim-seconds between subsystem failures per probe; 0 = never
+let FAILURE_DEGRADE = 0.8; // (config) a failure multiplies dna.accel or dna.harvest by this
+let DEFECT_PROB = 0; // (config) chance that replicate() builds a defective child
+const DEFECT_PENALTY_MIN = 0.3; // defective child: accel/harvest scaled by rand(min, max),
+const DEFECT_PENALTY_MAX = 0.7; // lifespan halved
+const FAILURE_FLOOR = { accel: 40, harvest: 1 }; // failures never take a trait below this
+
+// Factions (1 = the original single swarm)
+let FACTION_COUNT = 1; // (config)
+let RIVAL_FOUNDERS = 3; // (config) AI probes each rival faction starts with
+
+// AI Radar (realistic sensing)
+let RADAR_RANGE = 1000; // (config) founders' radarRange gene
+const RADAR_COOLDOWN_MIN = 0.85;
+const RADAR_COOLDOWN_MAX = 1.55;
+const RADAR_COOLDOWN_MEAN = (RADAR_COOLDOWN_MIN + RADAR_COOLDOWN_MAX) / 2; // founders' radarInterval gene
+const WANDER_MIN = 0.6;
+const WANDER_MAX = 2.4;
+
+// Harvest contact distance
+const TOUCH_PAD = 6;
+
+// Resource distribution tuning
+let CLUSTER_COUNT_MIN = 24; // (config)
+let CLUSTER_COUNT_MAX = 42; // (config)
+let CLUSTER_SPREAD_MIN = 220; // (config)
+let CLUSTER_SPREAD_MAX = 780; // (config)
+
+let CLUSTER_PROB_COMMON = 0.35; // (config)
+let CLUSTER_PROB_RICH = 0.80; // (config)
+
+// Resource regeneration (all off by default: resources only deplete)
+let REGROW_COMMON = 0; // (config) amount per second each active common deposit regains, up to maxAmt
+let REGROW_RICH = 0; // (config) same for rich deposits
+let RESPAWN_DELAY = 0; // (config) seconds until a depleted deposit comes back full; 0 = never
+let NEW_DEPOSIT_RATE = 0; // (config) new deposits per sim-second, placed like spawnSystem's
+const REGEN_EVERY = 10; // steps between regrowth passes (regrowth is slow; no need for 50 Hz)
+
+// Spatial grid (resources)
+const RES_CELL = 700;
+let resGridW = 0,
+  resGridH = 0;
+let resGrid = []; // array of arrays of resource indices
+
+// Precomputed neighbor cells
+let radarCellNeighbors = null; // [cellIndex] -> Int32Array or Array of neighbor cell indices
+let harvestCellNeighbors = null; // 3x3 neighbors
+
+// Simulation stepping
+const FIXED_DT = 1 / 50; // 50 Hz
+const STEPS_PER_SECOND = Math.round(1 / FIXED_DT);
+let simTick = 0; // fixed steps since initSim (carried through save/load)
+
+const TURN = Math.PI * 2;
+
+// Factions: competing swarms, each with its own Master AI. Faction 0 holds the player.
+const FACTION_COLORS = [
+  [140, 200, 255],
+  [255, 140, 120],
+  [255, 215, 110],
+  [190, 145, 255],
+  [120, 235, 190],
+  [255, 150, 215],
+  [200, 200, 200],
+  [160, 255, 120],
+];
+
+let factions = []; // [{ id, color, start: {x,y}, dnaScale, master, count }]
+let master = null; // factions[0].master (the player's swarm)
+
+function newMaster() {
+  return {
+    state: "NORMAL", // NORMAL -> RALLY -> BUILD -> CHARGE -> (READY) -> WARP
+    waypoint: null, // {x,y}
+    t: 0,
+    sacrificed: 0,
+    toSacrifice: 0,
+    warpMachine: null,
+    nextColonyTick: 0, // colony fleets: earliest tick for the next one
+  };
+}
+
+// Faction 0 starts at the center, rivals evenly around it. Rivals get a DNA baseline
+// (multiplier per trait) drawn once here; faction 0 keeps the original ranges.
+function makeFactions(n) {
+  const list = [];
+  const r = Math.min(WORLD.w, WORLD.h) * 0.3;
+  for (let i = 0; i < n; i++) {
+    const a = n > 1 ? (TURN * (i - 1)) / (n - 1) : 0;
+    list.push({
+      id: i,
+      color: FACTION_COLORS[i % FACTION_COLORS.length],
+      start: i === 0 ? { x: WORLD.w * 0.5, y: WORLD.h * 0.5 } : { x: WORLD.w * 0.5 + Math.cos(a) * r, y: WORLD.h * 0.5 + Math.sin(a) * r },
+      dnaScale: i === 0 ? { maxSpeed: 1, accel: 1, harvest: 1 } : { maxSpeed: rand(0.9, 1.1), accel: rand(0.9, 1.1), harvest: rand(0.9, 1.1) },
+      master: newMaster(),
+      count: 0,
+    });
+  }
+  return list;
+}
+
+// Player controls for the next step (set by the renderer from the keyboard, or by a script)
+let playerInput = {
+  ax: 0, // -1..1
+  ay: 0, // -1..1
+  boost: false,
+  replicate: false, // one-shot: consumed by the next simStep
+};
+
+// Cumulative event counters (telemetry reports per-sample deltas).
+// deaths = old age; failures = subsystem failures; defects = defective children built;
+// colonies = colony fleets sent.
+let simStats = newSimStats();
+
+function newSimStats() {
+  return { births: 0, sacrifices: 0, deaths: 0, failures: 0, defects: 0, colonies: 0 };
+}
+
+// How the current run started, for replays: { seed, founders } after initSim, null after a restore
+let simStartOpts = null;
+
+// Fresh run: applies opts.config (see CONFIG_SCHEMA; throws if invalid), seeds the RNG,
+// spawns system 1 and the player.
+// founders > 0 adds AI probes next to the player (headless runs have nobody pressing Space).
+function initSim(opts = {}) {
+  applyConfig(opts.config || {});
+  seedRng(opts.seed != null ? opts.seed : 1);
+  simStartOpts = { seed: simSeed, founders: opts.founders || 0, config: simConfig };
+  replayRec = null;
+  replayPlay = null;
+  rewind = null;
+
+  probes = newProbeStore(1024);
+  hybridField = HYBRID_AT > 0 ? newProbeStore() : null;
+  resetProbeSlots();
+  _probeId = 1;
+  simTick = 0;
+  systemIndex = 1;
+  playerInput = { ax: 0, ay: 0, boost: false, replicate: false };
+  simStats = newSimStats();
+  commsStats = newCommsStats();
+  resetTelemetry();
+
+  // System 1 (the galaxy's home system when GALAXY_ON)
+  galaxy = GALAXY_ON ? makeGalaxy() : null;
+  spawnSystem(galaxy ? galaxy.systems[0] : null);
+
+  factions = makeFactions(FACTION_COUNT);
+  master = factions[0].master;
+  resetCommsBoards();
+
+  resetLineage();
+
+  // Player
+  spawnProbe(probes, WORLD.w * 0.5, WORLD.h * 0.5, true, makeDNA(true), 0, -1);
+  focusId = PLAYER_ID;
+
+  addFounders(factions[0], opts.founders || 0);
+  for (let f = 1; f < factions.length; f++) addFounders(factions[f], RIVAL_FOUNDERS);
+}
+
+function addFounders(faction, n) {
+  for (let i = 0; i < n; i++) {
+    const a = rand(0, TURN);
+    const m = rand(40, 160);
+    const x = wrap01Fast(faction.start.x + Math.cos(a) * m, WORLD.w);
+    const y = wrap01Fast(faction.start.y + Math.sin(a) * m, WORLD.h);
+    spawnProbe(probes, x, y, false, makeDNA(false, faction), faction.id, -1);
+  }
+}
+
+// ---------------- Simulation ----------------
+
+function simStep(dt) {
+  // Player input for this step: from the replay being played, else live (and recorded)
+  if (replayPlay) replayApplyInput();
+  else if (replayRec) replayRecordInput();
+
+  if (playerInput.replicate) {
+    playerInput.replicate = false;
+    playerReplicate();
+  }
+
+  // Comms reports that have arrived (no-op unless enabled in config)
+  if (COMMS) deliverReports();
+
+  // Update probe behaviors + motion
+  updateProbes(dt);
+
+  // Separation / flocking / collisions (no-op unless enabled in config)
+  if (interactionsEnabled()) applyProbeInteractions(dt);
+
+  // Harvest (even if stationary)
+  harvestProbes(dt);
+
+  // Regrowth / respawns / new deposits (no-op unless enabled in config)
+  if (regenEnabled()) updateResourceField();
+
+  // Colonies in other systems (cheap aggregate update, once per sim-second)
+  if (galaxy && galaxy.colonies.length > 0 && simTick % STEPS_PER_SECOND === 0) updateColonies();
+
+  // Far-away probes as a density field (no-op unless enabled in config)
+  if (hybridField) updateHybrid();
+
+  // Replication (only for factions whose Master AI is idle)
+  replicateProbes(dt);
+
+  // Master AI orchestration
+  masterUpdate(dt);
+
+  // Sacrifices, old age: compact probe list (O(n), no splice storms)
+  purgeDead();
+
+  simTick++;
+  if (telemetry && simTick % TELEMETRY_STEPS === 0) telemetrySample();
+  if (rewind && !replayPlay && simTick % rewind.every === 0) captureRewindPoint();
+}
+
+// Sim seconds since initSim (exact multiples of FIXED_DT)
+function simTime() {
+  return simTick / STEPS_PER_SECOND;
+}
+
+// ---------------- System & Master AI ----------------
+
+// A fresh system; profile (a galaxy system) sets its richness and cluster count
+function spawnSystem(profile) {
+  resources = [];
+  resourceActive = [];
+  systemInitialTotal = 0;
+  systemRemainingTotal = 0;
+  systemInflowTotal = 0;
+  respawnQueue = [];
+  respawnHead = 0;
+  depositAcc = 0;
+
+  initResGrid();
+
+  // Mixed distribution (uniform + clusters)
+  const clusters = [];
+  systemClusters = clusters;
+  const CL = profile ? profile.clusters : Math.floor(rand(CLUSTER_COUNT_MIN, CLUSTER_COUNT_MAX + 1));
+  for (let i = 0; i < CL; i++) {
+    clusters.push({
+      x: rand(0, WORLD.w),
+      y: rand(0, WORLD.h),
+      spread: rand(CLUSTER_SPREAD_MIN, CLUSTER_SPREAD_MAX),
+      w: rand(0.6, 1.6),
+    });
+  }
+
+  const richness = profile ? profile.richness : 1;
+  const numCommon = Math.round(NUM_RES_COMMON * richness);
+  const numRich = Math.round(NUM_RES_RICH * richness);
+
+  let id = 0;
+  const addDeposit = (kind, mat, cl) => {
+    const r = makeResource(id++, kind, cl, mat);
+    const idx = resources.length;
+    r._arrIndex = idx;
+    resources.push(r);
+    activateResource(idx);
+    systemInitialTotal += r.maxAmt;
+  };
+
+  if (!MATERIALS_ON) {
+    for (let i = 0; i < numCommon; i++) addDeposit(0, 0, clusters);
+    for (let i = 0; i < numRich; i++) addDeposit(1, 0, clusters);
+  } else {
+    // Each kind split between materials by MATERIAL_SHARE (the last one takes the rounding)
+    for (const [kind, count] of [[0, numCommon], [1, numRich]]) {
+      let left = count;
+      for (let m = 0; m < MATERIALS.length; m++) {
+        const n = m === MATERIALS.length - 1 ? left : Math.min(left, Math.round(count * MATERIAL_SHARE[m]));
+        left -= n;
+        const cl = materialClusters(clusters, m);
+        for (let i = 0; i < n; i++) addDeposit(kind, m, cl);
+      }
+    }
+  }
+
+  systemRemainingTotal = systemInitialTotal;
+
+  // Precompute neighbor lists AFTER grid dims are known
+  buildNeighborLists();
+}
+
+// Each faction runs its own Master AI. Depletion is shared (one resource grid), so they all
+// rally around the same time; the system only warps once every surviving faction is charged.
+function masterUpdate(dt) {
+  if (dt <= 0) return;
+
+  // Once one faction heads for the exit the others follow, even if regrowth lifted the field
+  // back over the trigger meanwhile
+  let rallying = false;
+  for (let i = 0; i < factions.length; i++) if (factions[i].master.state !== "NORMAL") rallying = true;
+
+  for (let i = 0; i < factions.length; i++) factionMasterUpdate(factions[i], dt, rallying);
+
+  if (factions.length > 1 && allFactionsReady()) performWarp();
+}
+
+function factionMasterUpdate(f, dt, rallying) {
+  const m = f.master;
+
+  if (m.state === "NORMAL") {
+    if (systemInitialTotal > 0 && f.count >= 1) {
+      const remainingFrac = systemRemainingTotal / systemInitialTotal;
+      if (remainingFrac <= 1 - MASTER_TRIGGER_DEPLETION || rallying) startRally(f);
+      else if (COLONIES_ON && f.count >= COLONY_MIN_POP && simTick >= m.nextColonyTick) {
+        m.nextColonyTick = simTick + Math.round(COLONY_INTERVAL * STEPS_PER_SECOND);
+        const dest = pickColonyTarget(f);
+        if (dest >= 0) launchColony(f, dest);
+      }
+    }
+    return;
+  }
+
+  m.t += dt;
+
+  if (m.state === "RALLY") {
+    const alive = f.count;
+    const rr = rallyRadius(alive);
+    const arrived = countArrivedAtWaypointSq(f, rr * rr);
+
+    const need = Math.max(1, Math.floor(alive * RALLY_FRACTION));
+    const timeoutOk = m.t >= RALLY_TIMEOUT && arrived >= Math.max(1, Math.floor(alive * 0.45));
+
+    if (arrived >= need || timeoutOk) startBuild(f);
+  } else if (m.state === "BUILD") {
+    if (m.sacrificed >= m.toSacrifice) startCharge(f);
+  } else if (m.state === "CHARGE") {
+    if (m.t >= warpChargeTime()) {
+      if (factions.length === 1) performWarp();
+      else setMasterState(f, "READY");
+    }
+  }
+}
+
+// Extinct factions don't hold the warp up
+function allFactionsReady() {
+  let ready = 0;
+  for (let i = 0; i < factions.length; i++) {
+    const f = factions[i];
+    if (f.count <= 0) continue;
+    if (f.master.state !== "READY") return false;
+    ready++;
+  }
+  return ready > 0;
+}
+
+function setMasterState(f, next) {
+  const m = f.master;
+  if (telemetry && m.state !== next) {
+    telemetry.transitions.push({ t: simTime(), system: systemIndex, faction: f.id, from: m.state, to: next });
+  }
+  m.state = next;
+}
+
+function startRally(f) {
+  const m = f.master;
+  setMasterState(f, "RALLY");
+  m.t = 0;
+  m.sacrificed = 0;
+  m.toSacrifice = 0;
+  m.warpMachine = null;
+
+  m.waypoint = { x: rand(0, WORLD.w), y: rand(0, WORLD.h) };
+  if (hybridField) unmergeProbes((F, j) => F.faction[j] === f.id);
+
+  // Set waypoint for the faction's probes (O(n), but only once per system)
+  const P = probes;
+  for (let i = 0; i < P.n; i++) if (P.faction[i] === f.id) P.flags[i] |= PF_WAYPOINT;
+}
+
+function startBuild(f) {
+  const m = f.master;
+  setMasterState(f, "BUILD");
+  m.t = 0;
+  m.sacrificed = 0;
+
+  if (!m.waypoint) m.waypoint = { x: f.start.x, y: f.start.y };
+  m.warpMachine = new WarpMachine(m.waypoint.x, m.waypoint.y);
+
+  // 10% of the faction's AI probes (never the player), as slots
+  const P = probes;
+  const ai = [];
+  for (let i = 0; i < P.n; i++) {
+    if (!(P.flags[i] & (PF_PLAYER | PF_DEAD)) && P.faction[i] === f.id) ai.push(i);
+  }
+
+  const toSac = Math.floor(ai.length * 0.10);
+  m.toSacrifice = toSac;
+  if (toSac <= 0) return;
+
+  // Select K closest WITHOUT full sort (quickselect) for better scaling
+  selectKClosestInPlace(ai, toSac, m.waypoint);
+
+  for (let i = 0; i < toSac; i++) beginSacrifice(ai[i]);
+}
+
+function startCharge(f) {
+  const m = f.master;
+  setMasterState(f, "CHARGE");
+  m.t = 0;
+  if (m.warpMachine) m.warpMachine.mode = "CHARGE";
+
+  // First swarm to charge picks where everyone goes (the player may still change it)
+  if (galaxy && galaxy.destination < 0) galaxy.destination = pickDestination();
+}
+
+function performWarp() {
+  for (let i = 0; i < factions.length; i++) {
+    setMasterState(factions[i], "WARP");
+    factions[i].master.t = 0;
+  }
+
+  systemIndex += 1;
+  if (galaxy) travelTo(galaxy.destination >= 0 ? galaxy.destination : pickDestination());
+  else spawnSystem();
+  resetCommsBoards(); // deposit indices of the old system mean nothing here
+  if (hybridField) unmergeProbes(() => true); // (rallies have emptied it already)
+
+  // Warp survivors to a fresh region, each faction around its own start
+  const P = probes;
+  for (let i = 0; i < P.n; i++) {
+    const start = factions[P.faction[i]].start;
+
+    const a = rand(0, TURN);
+    const m = rand(40, 560);
+    P.x[i] = wrap01Fast(start.x + Math.cos(a) * m, WORLD.w);
+    P.y[i] = wrap01Fast(start.y + Math.sin(a) * m, WORLD.h);
+
+    const av = rand(0, TURN);
+    const mv = rand(10, 70);
+    P.vx[i] = Math.cos(av) * mv;
+    P.vy[i] = Math.sin(av) * mv;
+
+    // Reset behaviors
+    P.target[i] = -1;
+    P.flags[i] &= ~PF_WAYPOINT;
+
+    if (!(P.flags[i] & PF_PLAYER)) {
+      P.radarCooldown[i] = rand(0.2, 1.1);
+      P.wanderT[i] = rand(0.2, 0.9);
+      P.heading[i] = rand(0, TURN);
+    }
+
+    P.replCooldown[i] = Math.max(P.replCooldown[i], 0.5);
+  }
+
+  for (let i = 0; i < factions.length; i++) {
+    const m = factions[i].master;
+    m.waypoint = null;
+    m.warpMachine = null;
+    setMasterState(factions[i], "NORMAL");
+    m.t = 0;
+  }
+
+  focusId = PLAYER_ID;
+}
+
+// Probes that keep their distance can't all fit in RALLY_RADIUS: grow it to hold `alive` probes
+// packed at their spacing (hexagonal packing, with some slack)
+function rallyRadius(alive) {
+  const spacing = SEPARATION > 0 ? FLOCK_RADIUS * 0.5 : SOFT_COLLISIONS ? PROBE_RADIUS * 2 : 0;
+  return Math.max(RALLY_RADIUS, spacing * 0.6 * Math.sqrt(alive));
+}
+
+function countArrivedAtWaypointSq(f, radiusSq) {
+  const m = f.master;
+  if (!m.waypoint) return 0;
+  const wx = m.waypoint.x,
+    wy = m.waypoint.y;
+
+  const P = probes;
+  let c = 0;
+  for (let i = 0; i < P.n; i++) {
+    if (P.flags[i] & PF_DEAD || P.faction[i] !== f.id) continue;
+    const dx = wrapDeltaFast(wx - P.x[i], WORLD.w);
+    const dy = wrapDeltaFast(wy - P.y[i], WORLD.h);
+    if (dx * dx + dy * dy <= radiusSq) c++;
+  }
+  return c;
+}
+
+// Probes per faction (merged ones included), from scratch (after a restore); replicate/purge
+// keep it current
+function recountFactions() {
+  for (let i = 0; i < factions.length; i++) factions[i].count = 0;
+  for (let i = 0; i < probes.n; i++) factions[probes.faction[i]].count++;
+  if (hybridField) for (let i = 0; i < hybridField.n; i++) factions[hybridField.faction[i]].count++;
+}
+
+// ---------------- Galaxy ----------------
+
+// With GALAXY_ON the run takes place in a galaxy of GALAXY_SYSTEMS star systems scattered over
+// GALAXY_SIZE light-years, joined by warp lanes (each system to its GALAXY_LINKS nearest, plus
+// its nearest lower-numbered one so every system is reachable). A system's profile sets its
+// richness (deposit counts scale with it) and cluster count. Leaving a system stores its
+// resource field, so coming back finds it as depleted as it was left. Warps go along a lane
+// from the current system: the Master AI picks one when charging starts, the player may
+// override it while charging (chooseDestination), and each light-year adds WARP_TIME_PER_LY
+// to the charge.
+const GALAXY_SIZE = 100; // light-years
+const GALAXY_RICHNESS_MIN = 0.4;
+const GALAXY_RICHNESS_MAX = 1.6;
+
+let galaxy = null; // { systems, links, current, destination, route: [[tick, system]] }; null when off
+
+// Drawn from its own stream: the layout depends only on the seed and config
+function makeGalaxy() {
+  const grng = makeRng(simSeed ^ 0x27d4eb2f);
+  const systems = [];
+  for (let i = 0; i < GALAXY_SYSTEMS; i++) {
+    const home = i === 0;
+    systems.push({
+      id: i,
+      x: home ? GALAXY_SIZE * 0.5 : grng() * GALAXY_SIZE,
+      y: home ? GALAXY_SIZE * 0.5 : grng() * GALAXY_SIZE,
+      richness: home ? 1 : GALAXY_RICHNESS_MIN + grng() * (GALAXY_RICHNESS_MAX - GALAXY_RICHNESS_MIN),
+      clusters: CLUSTER_COUNT_MIN + Math.floor(grng() * (CLUSTER_COUNT_MAX - CLUSTER_COUNT_MIN + 1)),
+      visits: home ? 1 : 0,
+      remaining: 1, // fraction of the field left when last departed
+      saved: null, // serializeSystemState() from the last departure
+    });
+  }
+
+  const lanes = systems.map(() => new Set());
+  for (let i = 0; i < systems.length; i++) {
+    const others = systems.filter((s) => s.id !== i);
+    others.sort((a, b) => galaxyDistance(systems[i], a) - galaxyDistance(systems[i], b) || a.id - b.id);
+    const near = others.slice(0, GALAXY_LINKS);
+    const older = others.find((s) => s.id < i);
+    if (older) near.push(older);
+    for (const s of near) {
+      lanes[i].add(s.id);
+      lanes[s.id].add(i);
+    }
+  }
+
+  return {
+    systems,
+    links: lanes.map((l) => Array.from(l).sort((a, b) => a - b)),
+    current: 0,
+    destination: -1,
+    route: [[0, 0]],
+    colonies: [], // see Colonies
+  };
+}
+
+function galaxyDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Light-years from the current system to system id
+function distanceTo(id) {
+  return galaxyDistance(galaxy.systems[galaxy.current], galaxy.systems[id]);
+}
+
+// Charge time for the coming warp (the farther the destination, the longer)
+function warpChargeTime() {
+  if (!galaxy || galaxy.destination < 0) return WARP_CHARGE_TIME;
+  return WARP_CHARGE_TIME + distanceTo(galaxy.destination) * WARP_TIME_PER_LY;
+}
+
+// Master AI's choice: the lane with the most resources expected per second of charging
+// (systems visited before count with what was left in them)
+function pickDestination() {
+  const lanes = galaxy.links[galaxy.current];
+  let best = lanes[0];
+  let bestScore = -Infinity;
+  for (let i = 0; i < lanes.length; i++) {
+    const score = destinationScore(lanes[i]);
+    if (score > bestScore) {
+      bestScore = score;
+      best = lanes[i];
+    }
+  }
+  return best;
+}
+
+function destinationScore(id) {
+  const s = galaxy.systems[id];
+  return (s.richness * s.remaining) / (WARP_CHARGE_TIME + distanceTo(id) * WARP_TIME_PER_LY);
+}
+
+// A system is surveyed (profile known) once it or a neighbor has been visited
+function systemSurveyed(id) {
+  if (galaxy.systems[id].visits > 0) return true;
+  const lanes = galaxy.links[id];
+  for (let i = 0; i < lanes.length; i++) if (galaxy.systems[lanes[i]].visits > 0) return true;
+  return false;
+}
+
+// Stores the current system's field and moves to system id (its stored field, or a fresh one)
+function travelTo(id) {
+  const here = galaxy.systems[galaxy.current];
+  here.saved = serializeSystemState();
+  here.remaining = systemInitialTotal > 0 ? systemRemainingTotal / systemInitialTotal : 0;
+
+  const there = galaxy.systems[id];
+  galaxy.current = id;
+  galaxy.destination = -1;
+  galaxy.route.push([simTick, id]);
+  there.visits++;
+
+  const leftBefore = there.saved ? there.saved.systemRemainingTotal / Math.max(1e-9, there.saved.systemInitialTotal) : 1;
+  if (there.saved) restoreSystemState(there.saved);
+  else spawnSystem(there);
+
+  // Colonies here rejoin the full simulation, and the field shows what they harvested
+  if (there.remaining < leftBefore) scaleSystemField(there.remaining / leftBefore);
+  joinColonies(id);
+}
+
+// ---------------- Colonies ----------------
+
+// With COLONIES_ON a faction's Master AI, while idle in the current system and COLONY_MIN_POP
+// strong, sends a colony fleet every COLONY_INTERVAL seconds: COLONY_FLEET of its AI probes leave
+// for the best lane without one of its colonies (see destinationScore) and the rest stay. Only
+// the current system is simulated probe by probe. A colony elsewhere keeps its members frozen
+// in a probe store of its own and runs an aggregate model once per sim-second: each member
+// harvests COLONY_EFFICIENCY * harvest gene * fraction of the system left (less, and split by
+// MATERIAL_SHARE, with materials) into its own resources, and replicates as in replicateProbes, with its own
+// threshold, cooldown, cost and recipe (mutation and defects as usual). Colonists age and fail as
+// in updateProbes (a second at a time) and die out when their lifespans run out, but don't move
+// on when their system runs dry. When the swarm warps into a colonized system, its colonies join
+// the full simulation again.
+// Measured against local swarms of 50 growing in a fresh system (seeds 1-3, first 360 s):
+// colonies track them within ~30% with these (materials at 0.1 would grow twice as fast)
+const COLONY_EFFICIENCY = 0.1; // share of its harvest rate a colonist averages (search and travel included)
+const COLONY_MATERIALS_EFFICIENCY = 0.5; // times that with MATERIALS_ON (longer trips for scarce materials)
+const COLONY_MIN_REMAINING = 0.5; // fleets only go where at least this much is left
+
+// galaxy.colonies: [{ system, faction, members: probe store }]
+
+function pickColonyTarget(f) {
+  const lanes = galaxy.links[galaxy.current];
+  let best = -1;
+  let bestScore = -Infinity;
+  for (let i = 0; i < lanes.length; i++) {
+    const id = lanes[i];
+    if (galaxy.systems[id].remaining < COLONY_MIN_REMAINING || findColony(id, f.id)) continue;
+    const score = destinationScore(id);
+    if (score > bestScore) {
+      bestScore = score;
+      best = id;
+    }
+  }
+  return best;
+}
+
+function findColony(system, faction) {
+  const list = galaxy.colonies;
+  for (let i = 0; i < list.length; i++) if (list[i].system === system && list[i].faction === faction) return list[i];
+  return null;
+}
+
+// Moves a random COLONY_FLEET of f's idle AI probes out of the simulation into a colony at dest
+function launchColony(f, dest) {
+  const colony = { system: dest, faction: f.id, members: newProbeStore() };
+  const P = probes;
+  const busy = PF_PLAYER | PF_DEAD | PF_SACRIFICING | PF_WAYPOINT;
+  for (let i = 0; i < P.n; i++) {
+    const eligible = P.faction[i] === f.id && !(P.flags[i] & busy);
+    if (eligible && rngNext() < COLONY_FLEET) {
+      P.target[i] = -1;
+      copyProbe(P, i, colony.members);
+      P.flags[i] |= PF_LEAVING;
+    }
+  }
+  if (colony.members.n === 0) return;
+  compactProbes(PF_LEAVING);
+
+  f.count -= colony.members.n;
+  galaxy.colonies.push(colony);
+  simStats.colonies++;
+  if (probeSlot(focusId) < 0) focusId = PLAYER_ID;
+}
+
+function updateColonies() {
+  let total = galaxyPopulation();
+  const list = galaxy.colonies;
+  let w = 0;
+  for (let c = 0; c < list.length; c++) {
+    const colony = list[c];
+    const sys = galaxy.systems[colony.system];
+    const M = colony.members;
+
+    if (LIFESPAN > 0 || FAILURE_INTERVAL > 0) total -= ageColonists(M, 1);
+    if (M.n === 0) continue; // died out
+    list[w++] = colony;
+
+    let harvest = 0;
+    for (let i = 0; i < M.n; i++) harvest += M.harvest[i];
+
+    const cap = systemCapacity(sys);
+    const take = Math.min(sys.remaining * cap, harvest * harvestDutyCycle() * sys.remaining);
+    sys.remaining = Math.max(0, sys.remaining - take / cap);
+    if (take > 0) {
+      for (let i = 0; i < M.n; i++) {
+        const t = take * (M.harvest[i] / harvest);
+        M.resources[i] += t;
+        if (MATERIALS_ON) for (let m = 0; m < CARGO_STRIDE; m++) M.cargo[i * CARGO_STRIDE + m] += t * MATERIAL_SHARE[m];
+      }
+    }
+
+    // Replication (this second's children wait for the next)
+    const n = M.n;
+    for (let i = 0; i < n; i++) {
+      M.replCooldown[i] = Math.max(0, M.replCooldown[i] - 1);
+      if (M.replCooldown[i] > 0 || total >= HARD_PROBE_CAP) continue;
+
+      const cost = replicateCost(i, M);
+      const full = cost + (M.childRes[i] - CHILD_START_RES);
+      if (!canAfford(i, cost * M.replThreshold[i], M) || !canAfford(i, full, M)) continue;
+      pay(i, full, M);
+      buildChild(M, i, M.x[i], M.y[i]);
+      simStats.births++;
+      total++;
+      M.replCooldown[i] = rand(REPL_COOLDOWN_MIN, REPL_COOLDOWN_MAX) * (M.replInterval[i] / REPL_COOLDOWN_MEAN);
+    }
+  }
+  list.length = w;
+}
+
+// Share of its harvest gene a probe averages once searching and travel between deposits count
+// (colonies' harvest, theoreticalGrowth)
+function harvestDutyCycle() {
+  return COLONY_EFFICIENCY * (MATERIALS_ON ? COLONY_MATERIALS_EFFICIENCY : 1);
+}
+
+// updateProbes' lifespans and subsystem failures over dt seconds for a colony's members; the dead
+// are recorded and dropped. Returns how many died.
+function ageColonists(s, dt) {
+  let died = 0;
+  for (let i = 0; i < s.n; i++) {
+    s.age[i] += dt;
+    if (s.lifespan[i] > 0 && s.age[i] >= s.lifespan[i]) {
+      s.flags[i] |= PF_DEAD;
+      lineage.died[s.id[i]] = simTick;
+      simStats.deaths++;
+      died++;
+      continue;
+    }
+    if (s.failT[i] > 0) {
+      s.failT[i] -= dt;
+      if (s.failT[i] <= 0) {
+        failSubsystem(i, s);
+        s.failT[i] = drawFailureDelay();
+      }
+    }
+  }
+  if (died > 0) compactProbes(PF_DEAD, s);
+  return died;
+}
+
+// Deposit capacity of a system: as spawned if it has been, else the expected amount
+function systemCapacity(sys) {
+  if (sys.saved) return sys.saved.systemInitialTotal;
+  return sys.richness * (NUM_RES_COMMON * 64 + NUM_RES_RICH * 280);
+}
+
+// Scales every deposit in the current system by k (background harvesting while nobody watched)
+function scaleSystemField(k) {
+  systemRemainingTotal = 0;
+  for (let i = resourceActive.length - 1; i >= 0; i--) {
+    const r = resources[resourceActive[i]];
+    r.amt *= k;
+    if (r.amt <= 0.01) {
+      r.amt = 0;
+      deactivateResource(r._arrIndex);
+    } else systemRemainingTotal += r.amt;
+  }
+}
+
+// Colonies at `system` become ordinary probes again (performWarp then scatters them)
+function joinColonies(system) {
+  const list = galaxy.colonies;
+  let w = 0;
+  for (let i = 0; i < list.length; i++) {
+    const colony = list[i];
+    if (colony.system !== system) {
+      list[w++] = colony;
+      continue;
+    }
+    for (let j = 0; j < colony.members.n; j++) copyProbe(colony.members, j, probes);
+    factions[colony.faction].count += colony.members.n;
+  }
+  list.length = w;
+}
+
+// Probes in colonies at `system` (-1: all colonies)
+function colonyPopulation(system) {
+  let n = 0;
+  const list = galaxy ? galaxy.colonies : [];
+  for (let i = 0; i < list.length; i++) if (system < 0 || list[i].system === system) n += list[i].members.n;
+  return n;
+}
+
+// Probes in a galaxy system, whether simulated here or in colonies
+function systemPopulation(system) {
+  return (system === galaxy.current ? localPopulation() : 0) + colonyPopulation(system);
+}
+
+// Probes across the galaxy: the current system's plus every colony's
+function galaxyPopulation() {
+  return localPopulation() + colonyPopulation(-1);
+}
+
+// ---------------- Hybrid field ----------------
+
+// With HYBRID_AT > 0, once the current system holds that many probes, AI probes farther than
+// HYBRID_RADIUS * HYBRID_MERGE_AT from both the player and the camera's focus merge into a
+// density field over the resource grid cells, and merged probes that come within HYBRID_RADIUS of
+// either become agents again. Merged probes keep their records, in a probe store of their own
+// (like a colony's), frozen but for what the field does with them once per sim-second:
+// - harvest: a cell's deposits give up HYBRID_EFFICIENCY * its members' harvest genes (at most
+//   what's there), shared among them by harvest gene
+// - replicate: whoever can afford it builds a child the way agents do (threshold, cost,
+//   cooldown), into the field somewhere in its cell
+// - diffuse: everyone takes a random step of up to HYBRID_DIFFUSION cells
+// - age: lifespans run out as usual (subsystem failures are left out)
+// Only probes of idle factions merge, and a rally brings the faction's whole field back, so
+// rallies, sacrifices, warps and colony fleets only ever deal with agents. Faction counts,
+// population, births and deaths include the field.
+const HYBRID_MERGE_AT = 1.5; // x HYBRID_RADIUS: the gap keeps probes at the edge from flip-flopping
+const HYBRID_CHECK_STEPS = 5; // how often merged probes near the viewpoints are looked for
+
+let hybridField = null; // probe store of the merged probes; null when off
+
+// Probes in the current system: agents plus merged ones
+function localPopulation() {
+  return probes.n + (hybridField ? hybridField.n : 0);
+}
+
+// The stores holding them
+function localStores() {
+  return hybridField ? [probes, hybridField] : [probes];
+}
+
+function updateHybrid() {
+  if (simTick % HYBRID_CHECK_STEPS === 0) {
+    const v = hybridViewpoints(HYBRID_RADIUS);
+    unmergeProbes((F, j) => nearViewpoints(v, F.x[j], F.y[j]));
+  }
+  if (simTick % STEPS_PER_SECOND !== 0) return;
+  if (localPopulation() >= HYBRID_AT) mergeFarProbes();
+  if (hybridField.n > 0) fieldStep(1);
+}
+
+// Player and focus positions with the squared radius around them: [r2, px, py, fx, fy]
+function hybridViewpoints(radius) {
+  const p = probeSlot(PLAYER_ID);
+  const f = probeSlot(focusId) >= 0 ? probeSlot(focusId) : p;
+  return [radius * radius, probes.x[p], probes.y[p], probes.x[f], probes.y[f]];
+}
+
+function nearViewpoints(v, x, y) {
+  for (let k = 1; k < 5; k += 2) {
+    const dx = wrapDeltaFast(x - v[k], WORLD.w);
+    const dy = wrapDeltaFast(y - v[k + 1], WORLD.h);
+    if (dx * dx + dy * dy <= v[0]) return true;
+  }
+  return false;
+}
+
+function mergeFarProbes() {
+  const P = probes;
+  const F = hybridField;
+  const v = hybridViewpoints(HYBRID_RADIUS * HYBRID_MERGE_AT);
+  const busy = PF_PLAYER | PF_DEAD | PF_SACRIFICING | PF_WAYPOINT;
+  let merged = 0;
+  for (let i = 0; i < P.n; i++) {
+    if (P.flags[i] & busy || P.id[i] === focusId) continue;
+    if (factions[P.faction[i]].master.state !== "NORMAL") continue;
+    if (nearViewpoints(v, P.x[i], P.y[i])) continue;
+    const j = copyProbe(P, i, F);
+    F.flags[j] &= ~PF_HEARD;
+    F.target[j] = -1;
+    P.flags[i] |= PF_LEAVING;
+    merged++;
+  }
+  if (merged > 0) compactProbes(PF_LEAVING);
+}
+
+// Merged probes for which pick(field, slot) is true become agents, at rest, looking around at once
+function unmergeProbes(pick) {
+  const F = hybridField;
+  const P = probes;
+  let n = 0;
+  for (let j = 0; j < F.n; j++) {
+    if (!pick(F, j)) continue;
+    const i = copyProbe(F, j, P);
+    P.vx[i] = 0;
+    P.vy[i] = 0;
+    P.radarCooldown[i] = 0;
+    P.wanderT[i] = 0;
+    F.flags[j] |= PF_LEAVING;
+    n++;
+  }
+  if (n > 0) compactProbes(PF_LEAVING, F);
+}
+
+let _fieldCellOf = new Int32Array(0);
+
+// One step of the field model (see above), dt sim-seconds long
+function fieldStep(dt) {
+  const F = hybridField;
+  const cells = resGridW * resGridH;
+  if (_fieldCellOf.length < F.n) _fieldCellOf = new Int32Array(F.n * 2);
+  const cellOf = _fieldCellOf;
+
+  // Harvest: what each cell's members ask for, what its deposits give (per material), then shares
+  const want = new Float64Array(cells);
+  for (let j = 0; j < F.n; j++) {
+    const c = cellIndexForPos(F.x[j], F.y[j]);
+    cellOf[j] = c;
+    want[c] += F.harvest[j];
+  }
+  const got = new Float64Array(cells * CARGO_STRIDE);
+  for (let c = 0; c < cells; c++) {
+    if (want[c] <= 0) continue;
+    const cell = resGrid[c];
+    let avail = 0;
+    for (let k = 0; k < cell.length; k++) avail += resources[cell[k]].amt;
+    if (avail <= 0) continue;
+
+    const k = Math.min(1, (want[c] * HYBRID_EFFICIENCY * dt) / avail);
+    let take = 0;
+    // Backwards: a depleted deposit leaves the cell list by swapping with the last one
+    for (let e = cell.length - 1; e >= 0; e--) {
+      const r = resources[cell[e]];
+      const t = r.amt * k;
+      r.amt -= t;
+      take += t;
+      got[c * CARGO_STRIDE + (MATERIALS_ON ? r.mat : 0)] += t;
+      if (r.amt <= 0.001) {
+        r.amt = 0;
+        deactivateResource(cell[e]);
+      }
+    }
+    systemRemainingTotal = Math.max(0, systemRemainingTotal - take);
+  }
+  for (let j = 0; j < F.n; j++) {
+    const c = cellOf[j];
+    if (want[c] <= 0) continue;
+    const share = F.harvest[j] / want[c];
+    for (let m = 0; m < CARGO_STRIDE; m++) {
+      const t = got[c * CARGO_STRIDE + m] * share;
+      F.resources[j] += t;
+      if (MATERIALS_ON) F.cargo[j * CARGO_STRIDE + m] += t;
+    }
+  }
+
+  // Aging and replication (this second's children wait for the next)
+  const n = F.n;
+  let died = 0;
+  for (let j = 0; j < n; j++) {
+    if (F.lifespan[j] > 0) {
+      F.age[j] += dt;
+      if (F.age[j] >= F.lifespan[j]) {
+        F.flags[j] |= PF_DEAD;
+        died++;
+        continue;
+      }
+    }
+    F.replCooldown[j] = Math.max(0, F.replCooldown[j] - dt);
+    if (F.replCooldown[j] > 0 || localPopulation() >= HARD_PROBE_CAP) continue;
+
+    const cost = replicateCost(j, F);
+    const total = cost + (F.childRes[j] - CHILD_START_RES);
+    if (!canAfford(j, cost * F.replThreshold[j], F) || !canAfford(j, total, F)) continue;
+    pay(j, total, F);
+    const c = cellOf[j];
+    const x = wrap01Fast((c % resGridW + rngNext()) * RES_CELL, WORLD.w);
+    const y = wrap01Fast((Math.floor(c / resGridW) + rngNext()) * RES_CELL, WORLD.h);
+    buildChild(F, j, x, y);
+    factions[F.faction[j]].count++;
+    simStats.births++;
+    F.replCooldown[j] = rand(REPL_COOLDOWN_MIN, REPL_COOLDOWN_MAX) * (F.replInterval[j] / REPL_COOLDOWN_MEAN);
+  }
+
+  // Diffusion
+  const step = HYBRID_DIFFUSION * RES_CELL * dt;
+  if (step > 0) {
+    for (let j = 0; j < F.n; j++) {
+      F.x[j] = wrap01Fast(F.x[j] + (rngNext() * 2 - 1) * step, WORLD.w);
+      F.y[j] = wrap01Fast(F.y[j] + (rngNext() * 2 - 1) * step, WORLD.h);
+    }
+  }
+
+  if (died > 0) {
+    for (let j = 0; j < F.n; j++) {
+      if (!(F.flags[j] & PF_DEAD)) continue;
+      factions[F.faction[j]].count--;
+      lineage.died[F.id[j]] = simTick;
+      simStats.deaths++;
+    }
+    compactProbes(PF_DEAD, F);
+  }
+}
+
+// Merged probes per resource grid cell (for drawing the field)
+function hybridDensity() {
+  const out = new Uint32Array(resGridW * resGridH);
+  const F = hybridField;
+  if (F) for (let j = 0; j < F.n; j++) out[cellIndexForPos(F.x[j], F.y[j])]++;
+  return out;
+}
+
+// ---------------- Mechanics ----------------
+
+// Quickselect partition to get the K probe slots closest to wp first (no full sort)
+function selectKClosestInPlace(arr, k, wp) {
+  const wx = wp.x,
+    wy = wp.y;
+
+  // distances computed once, swapped along with the slots
+  const d2 = new Float64Array(arr.length);
+  for (let i = 0; i < arr.length; i++) {
+    const dx = wrapDeltaFast(probes.x[arr[i]] - wx, WORLD.w);
+    const dy = wrapDeltaFast(probes.y[arr[i]] - wy, WORLD.h);
+    d2[i] = dx * dx + dy * dy;
+  }
+
+  let left = 0,
+    right = arr.length - 1;
+  while (true) {
+    if (left >= right) return;
+    const pivotIndex = partitionByD2(arr, d2, left, right, (left + right) >> 1);
+    if (k - 1 === pivotIndex) return;
+    if (k - 1 < pivotIndex) right = pivotIndex - 1;
+    else left = pivotIndex + 1;
+  }
+}
+
+function partitionByD2(arr, d2, left, right, pivotIndex) {
+  const pivotValue = d2[pivotIndex];
+  swap(arr, d2, pivotIndex, right);
+  let storeIndex = left;
+  for (let i = left; i < right; i++) {
+    if (d2[i] < pivotValue) {
+      swap(arr, d2, storeIndex, i);
+      storeIndex++;
+    }
+  }
+  swap(arr, d2, right, storeIndex);
+  return storeIndex;
+}
+
+function swap(arr, d2, i, j) {
+  const t = arr[i];
+  arr[i] = arr[j];
+  arr[j] = t;
+  const td = d2[i];
+  d2[i] = d2[j];
+  d2[j] = td;
+}
+
+function pickWeightedCluster(clusters) {
+  let sum = 0;
+  for (let i = 0; i < clusters.length; i++) sum += clusters[i].w;
+
+  let r = rand(0, sum);
+  for (let i = 0; i < clusters.length; i++) {
+    r -= clusters[i].w;
+    if (r <= 0) return clusters[i];
+  }
+  return clusters[clusters.length - 1];
+}
+
+function makeResource(id, kind, clusters, mat) {
+  let clusterProb = kind === 0 ? CLUSTER_PROB_COMMON : CLUSTER_PROB_RICH;
+  if (MATERIALS_ON) clusterProb = MATERIAL_CLUSTER_PROB[mat];
+  const useCluster = clusters && clusters.length && rngNext() < clusterProb;
+
+  let x, y;
+
+  if (!useCluster) {
+    x = rand(0, WORLD.w);
+    y = rand(0, WORLD.h);
+  } else {
+    const cl = pickWeightedCluster(clusters);
+
+    // randGaussian() is only used at spawn-time (not hot path)
+    const dx = randGaussian() * cl.spread;
+    const dy = randGaussian() * cl.spread;
+
+    x = wrap01Fast(cl.x + dx, WORLD.w);
+    y = wrap01Fast(cl.y + dy, WORLD.h);
+  }
+
+  const maxAmt = kind === 0 ? rand(18, 110) : rand(140, 420);
+
+  return newResource(id, kind, x, y, maxAmt, mat);
+}
+
+function newResource(id, kind, x, y, maxAmt, mat) {
+  return {
+    id,
+    kind,
+    mat: mat || 0, // material index (always 0 unless MATERIALS_ON)
+    x,
+    y,
+    amt: maxAmt,
+    maxAmt,
+    radius: RESOURCE_BASE_R + Math.sqrt(maxAmt) * (kind === 0 ? 0.52 : 0.62),
+    active: false,
+    activeIndex: -1,
+    _arrIndex: -1,
+    _gridCell: -1,
+    _gridIndex: -1,
+  };
+}
+
+function activateResource(idx) {
+  const r = resources[idx];
+  r.active = true;
+  r.activeIndex = resourceActive.length;
+  resourceActive.push(idx);
+  gridAddResource(idx);
+}
+
+function deactivateResource(idx) {
+  const r = resources[idx];
+  if (!r.active) return;
+
+  gridRemoveResource(idx);
+
+  const ai = r.activeIndex;
+  const last = resourceActive.length - 1;
+  const lastIdx = resourceActive[last];
+
+  resourceActive[ai] = lastIdx;
+  resources[lastIdx].activeIndex = ai;
+
+  resourceActive.pop();
+  r.active = false;
+  r.activeIndex = -1;
+
+  if (RESPAWN_DELAY > 0) respawnQueue.push([idx, simTick + Math.round(RESPAWN_DELAY * STEPS_PER_SECOND)]);
+}
+
+// Heritable genes. Founders draw `init` (the player gets `player`) or start from `base(cfg)`.
+// Each copy multiplies a gene by rand(1 - mutation, 1 + mutation + drift), then clamps it to
+// [min, max]; min/max/mutation are defaults for the <gene>Min/<gene>Max/<gene>Mutation settings.
+// radarInterval and replInterval are mean cooldowns (the usual random spread is scaled to them);
+// childRes is what a child starts with, paid by the parent on top of the cost beyond CHILD_START_RES.
+const GENES = {
+  maxSpeed: { init: [190, 260], player: 260, min: 140, max: 320, mutation: 0.03, drift: 0 },
+  accel: { init: [360, 520], player: 520, min: 260, max: 700, mutation: 0.04, drift: 0 },
+  harvest: { init: [16, 26], player: 22, min: 8, max: 40, mutation: 0.05, drift: 0.01 },
+  radarRange: { base: (cfg) => cfg.radarRange, min: 100, max: 4000, mutation: 0, drift: 0 },
+  radarInterval: { base: () => RADAR_COOLDOWN_MEAN, min: 0.2, max: 6, mutation: 0, drift: 0 },
+  replThreshold: { base: () => REPL_THRESHOLD, min: 1, max: 4, mutation: 0, drift: 0 },
+  replInterval: { base: () => REPL_COOLDOWN_MEAN, min: 0.5, max: 20, mutation: 0, drift: 0 },
+  childRes: { base: (cfg) => cfg.childStartRes, min: 0, max: 1000, mutation: 0, drift: 0 },
+};
+const GENE_NAMES = Object.keys(GENES);
+
+let geneBounds = {}; // gene -> { min, max, mutation } in effect (set by applyConfig)
+
+// Founders: the faction's baseline scales the init ranges (the player's faction is 1x)
+function makeDNA(playerish, faction) {
+  const k = faction ? faction.dnaScale : null;
+  const dna = {};
+  for (let i = 0; i < GENE_NAMES.length; i++) {
+    const g = GENE_NAMES[i];
+    const spec = GENES[g];
+    if (!spec.init) dna[g] = spec.base(simConfig);
+    else if (playerish) dna[g] = spec.player;
+    else dna[g] = rand(spec.init[0], spec.init[1]) * (k ? k[g] : 1);
+  }
+  return dna;
+}
+
+// Genes with mutation 0 are copied as-is (no RNG draw)
+function mutateDNA(dna) {
+  const m = {};
+  for (let i = 0; i < GENE_NAMES.length; i++) {
+    const g = GENE_NAMES[i];
+    const b = geneBounds[g];
+    const v = b.mutation > 0 ? dna[g] * rand(1 - b.mutation, 1 + b.mutation + GENES[g].drift) : dna[g];
+    m[g] = clamp(v, b.min, b.max);
+  }
+  return m;
+}
+
+// Widest radar any probe can have: what the radar neighbor lists must cover
+function maxRadarRange() {
+  const b = geneBounds.radarRange;
+  return b.mutation > 0 ? b.max : RADAR_RANGE;
+}
+
+// Replication cost models (COST_MODEL):
+//   constant   - REPLICATE_COST for everyone
+//   dna        - scaled by how good the builder's DNA is relative to the player's baseline
+//                (harvest counts double): cost * quality^COST_DNA_EXPONENT
+//   population - cost * (1 + population / COST_POP_SCALE)
+//   system     - cost * COST_SYSTEM_GROWTH^(systemIndex - 1)
+//   formula    - COST_FORMULA, an expression over the variables in COST_FORMULA_VARS
+//                (e.g. "base * (1 + pop / 5000) * harvest / 22"); results below 1 are raised to 1
+const COST_MODELS = ["constant", "dna", "population", "system", "formula"];
+const COST_FORMULA_VARS = ["base", "pop", "system", "t"].concat(GENE_NAMES);
+const COST_FORMULA_FUNCS = ["min", "max", "pow", "sqrt", "log", "exp", "abs", "floor", "ceil"];
+
+let costFormulaFn = null; // compiled COST_FORMULA (set by applyConfig)
+
+// What the probe in slot i of store s pays for one child (i defaults to the player's slot)
+function replicateCost(i, s = probes) {
+  if (COST_MODEL === "constant") return REPLICATE_COST;
+  return dnaCost(probeDNA(s, i != null ? i : probeSlot(PLAYER_ID), _costDNA));
+}
+
+const _costDNA = {};
+
+// The same for a probe with genes `dna` (colonists, the renderer's copy of the player)
+function dnaCost(dna) {
+  if (COST_MODEL === "constant") return REPLICATE_COST;
+
+  if (COST_MODEL === "dna") {
+    const quality =
+      (2 * (dna.harvest / GENES.harvest.player) + dna.maxSpeed / GENES.maxSpeed.player + dna.accel / GENES.accel.player) / 4;
+    return REPLICATE_COST * Math.pow(quality, COST_DNA_EXPONENT);
+  }
+  if (COST_MODEL === "population") return REPLICATE_COST * (1 + localPopulation() / COST_POP_SCALE);
+  if (COST_MODEL === "system") return REPLICATE_COST * Math.pow(COST_SYSTEM_GROWTH, systemIndex - 1);
+
+  const v = costFormulaFn(REPLICATE_COST, localPopulation(), systemIndex, simTime(), dna);
+  return isFinite(v) ? Math.max(1, v) : REPLICATE_COST;
+}
+
+// Compiles a cost formula into (base, pop, system, t, dna) => number. Only the listed variables,
+// Math functions, numbers and arithmetic are allowed; throws on anything else.
+function compileCostFormula(src) {
+  const allowed = new Set(COST_FORMULA_VARS.concat(COST_FORMULA_FUNCS));
+  if (!/^[\w\s.+\-*/%(),?:<>=!&|]*$/.test(src)) throw new Error("costFormula: only arithmetic is allowed");
+  const names = src.replace(/\d*\.?\d+(e[+-]?\d+)?/gi, " ").match(/[A-Za-z_]\w*/g) || [];
+  for (const name of names) {
+    if (!allowed.has(name)) throw new Error(`costFormula: unknown name "${name}" (use ${Array.from(allowed).join(", ")})`);
+  }
+
+  const body =
+    `const { ${COST_FORMULA_FUNCS.join(", ")} } = Math;\n` +
+    `const { ${GENE_NAMES.join(", ")} } = dna;\n` +
+    `return (${src || "base"});`;
+  let fn;
+  try {
+    fn = new Function("base", "pop", "system", "t", "dna", body);
+  } catch (e) {
+    throw new Error(`costFormula: ${e.message}`);
+  }
+
+  // Must give a number (a trial run with placeholder genes)
+  const dna = {};
+  for (const g of GENE_NAMES) dna[g] = GENES[g].player || 1;
+  let test;
+  try {
+    test = fn(100, 1, 1, 0, dna);
+  } catch (e) {
+    throw new Error(`costFormula: ${e.message}`);
+  }
+  if (typeof test !== "number") throw new Error("costFormula: does not evaluate to a number");
+  return fn;
+}
+
+// ---------------- Materials ----------------
+
+// Off by default: every deposit is the same interchangeable "resources". With MATERIALS_ON each
+// deposit holds one material, placed with its own clustering (share of deposits from config,
+// MATERIAL_CLUSTER_PROB of sitting in a cluster, and only the first MATERIAL_CLUSTER_FRAC of the
+// system's clusters). Probes keep a per-material `cargo` (`resources` stays the total) and a
+// replication of cost C takes C * RECIPE[m] of every material m.
+const MATERIALS = ["metals", "volatiles", "rare"];
+const MATERIAL_CLUSTER_PROB = [0.45, 0.1, 0.9]; // volatiles are spread out, rare elements bunch up
+const MATERIAL_CLUSTER_FRAC = [1, 1, 0.3];
+const MATERIAL_WEIGHT_MIN = 0.2; // radar weight of a material the probe has enough of
+
+let MATERIALS_ON = 0; // (config) 0/1
+let MATERIAL_SHARE = [0.6, 0.3, 0.1]; // (config) shareMetals, shareVolatiles, shareRare (normalized)
+let RECIPE = [0.6, 0.3, 0.1]; // (config) recipeMetals, recipeVolatiles, recipeRare (normalized)
+
+const _matWeights = new Float64Array(MATERIALS.length);
+
+// Random material by MATERIAL_SHARE (new deposits)
+function pickMaterial() {
+  let r = rngNext();
+  for (let m = 0; m < MATERIALS.length - 1; m++) {
+    r -= MATERIAL_SHARE[m];
+    if (r < 0) return m;
+  }
+  return MATERIALS.length - 1;
+}
+
+// The clusters material m may appear in
+function materialClusters(clusters, m) {
+  return clusters.slice(0, Math.max(1, Math.ceil(clusters.length * MATERIAL_CLUSTER_FRAC[m])));
+}
+
+// Radar preference per material for the probe in slot i: MATERIAL_WEIGHT_MIN plus the fraction
+// of its next replication's need still missing. radarPing divides distances by these.
+function materialWeights(i) {
+  const need = replicateCost(i) * probes.replThreshold[i];
+  for (let m = 0; m < MATERIALS.length; m++) {
+    const want = need * RECIPE[m];
+    const short = want > 0 ? clamp((want - probes.cargo[i * CARGO_STRIDE + m]) / want, 0, 1) : 0;
+    _matWeights[m] = MATERIAL_WEIGHT_MIN + short;
+  }
+  return _matWeights;
+}
+
+function normalized(arr) {
+  let sum = 0;
+  for (let i = 0; i < arr.length; i++) sum += arr[i];
+  return arr.map((v) => v / sum);
+}
+
+// ---------------- Resource regeneration ----------------
+
+// Depleted deposits waiting to respawn, as [resourceIndex, dueTick]. The delay is the same for
+// everyone, so the queue is already in due order: a head pointer instead of shift().
+let respawnQueue = [];
+let respawnHead = 0;
+let systemClusters = []; // spawnSystem's clusters, reused for new deposits
+let depositAcc = 0; // fractional new deposits carried between passes
+
+function regenEnabled() {
+  return REGROW_COMMON > 0 || REGROW_RICH > 0 || RESPAWN_DELAY > 0 || NEW_DEPOSIT_RATE > 0;
+}
+
+// Runs every REGEN_EVERY steps. Keeps resourceActive/grid in sync through activateResource and
+// counts everything added as inflow.
+function updateResourceField() {
+  if ((simTick + 1) % REGEN_EVERY !== 0) return;
+  const dt = REGEN_EVERY * FIXED_DT;
+
+  // Regrowth of partly harvested (still active) deposits
+  if (REGROW_COMMON > 0 || REGROW_RICH > 0) {
+    for (let i = 0; i < resourceActive.length; i++) {
+      const r = resources[resourceActive[i]];
+      if (r.amt >= r.maxAmt) continue;
+      const add = Math.min(r.maxAmt - r.amt, (r.kind === 0 ? REGROW_COMMON : REGROW_RICH) * dt);
+      r.amt += add;
+      addInflow(add);
+    }
+  }
+
+  // Respawns
+  while (respawnHead < respawnQueue.length && respawnQueue[respawnHead][1] <= simTick) {
+    const idx = respawnQueue[respawnHead++][0];
+    const r = resources[idx];
+    if (r.active) continue;
+    r.amt = r.maxAmt;
+    activateResource(idx);
+    addInflow(r.maxAmt);
+  }
+  if (respawnHead > 1024 && respawnHead * 2 > respawnQueue.length) {
+    respawnQueue = respawnQueue.slice(respawnHead);
+    respawnHead = 0;
+  }
+
+  // New deposits, same common/rich mix and cluster bias as the initial field
+  if (NEW_DEPOSIT_RATE > 0) {
+    depositAcc += NEW_DEPOSIT_RATE * dt;
+    const richShare = NUM_RES_COMMON + NUM_RES_RICH > 0 ? NUM_RES_RICH / (NUM_RES_COMMON + NUM_RES_RICH) : 0;
+    while (depositAcc >= 1) {
+      depositAcc -= 1;
+      const kind = rngNext() < richShare ? 1 : 0;
+      const mat = MATERIALS_ON ? pickMaterial() : 0;
+      const idx = resources.length;
+      const r = makeResource(idx, kind, MATERIALS_ON ? materialClusters(systemClusters, mat) : systemClusters, mat);
+      r._arrIndex = idx;
+      resources.push(r);
+      activateResource(idx);
+      systemInitialTotal += r.maxAmt;
+      addInflow(r.maxAmt);
+    }
+  }
+}
+
+function addInflow(amount) {
+  systemRemainingTotal += amount;
+  systemInflowTotal += amount;
+}
+
+// ---------------- Warp Machine ----------------
+
+// State only; the renderer advances spin/pulse (visual) and draws it.
+class WarpMachine {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.spin = rand(0, TURN);
+    this.mode = "BUILD";
+    this.pulse = 0;
+  }
+
+  update(dt) {
+    if (dt <= 0) return;
+    this.spin += dt * (this.mode === "CHARGE" ? 1.6 : 0.8);
+    this.pulse += dt * 2.2;
+  }
+}
+
+// ---------------- Probe store ----------------
+
+// Probe state is a struct of arrays: one typed column per field, slot i of every column being
+// one probe. `probes` holds the current system's, in slots 0 .. probes.n - 1; colonies keep
+// their members in stores of their own (see Colonies). Columns grow by doubling, like lineage's,
+// and compaction keeps the slot order. Slots move as others die, ids don't: probeSlotOf[id] is
+// a probe's slot in `probes` (-1 once it died or left with a colony fleet), which is how the
+// player (PLAYER_ID) and the camera's focusId are found. probeInfo() copies one probe out as a
+// plain object for the HUD and scripts.
+const PROBE_COLUMNS = {
+  id: Int32Array,
+  faction: Uint8Array,
+  flags: Uint8Array, // PF_* bits
+  x: Float64Array,
+  y: Float64Array,
+  vx: Float64Array,
+  vy: Float64Array,
+  heading: Float64Array,
+  resources: Float64Array, // total (per material in cargo)
+  cargo: Float64Array, // CARGO_STRIDE per probe, 0 unless MATERIALS_ON
+  target: Int32Array, // resource index, -1 = none
+  radarCooldown: Float64Array,
+  wanderT: Float64Array,
+  replCooldown: Float64Array,
+  sacrificeT: Float64Array,
+  age: Float64Array,
+  lifespan: Float64Array, // 0 = immortal
+  failT: Float64Array, // seconds to the next subsystem failure, 0 = none scheduled
+};
+for (const g of GENE_NAMES) PROBE_COLUMNS[g] = Float64Array; // a column per gene
+const PROBE_KEYS = Object.keys(PROBE_COLUMNS);
+const CARGO_STRIDE = MATERIALS.length;
+
+const PF_PLAYER = 1;
+const PF_DEAD = 2; // sacrificed or worn out: purgeDead removes it at the end of the step
+const PF_SACRIFICING = 4;
+const PF_WAYPOINT = 8; // heading for its Master AI's waypoint
+const PF_DEFECTIVE = 16;
+const PF_COMMS = 32; // takes part in comms
+const PF_HEARD = 64; // target came from the comms map (may be far away)
+const PF_LEAVING = 128; // leaving with a colony fleet (launchColony)
+
+let _probeId = 1;
+let probeSlotOf = null; // Int32Array by id, -1 = not in `probes`
+
+// Built in one go: adding this many keys one at a time leaves V8 with a slow dictionary object
+function newProbeStore(cap) {
+  cap = Math.max(cap || 0, 64);
+  const entries = [["n", 0], ["cap", cap]];
+  for (const k of PROBE_KEYS) entries.push([k, new PROBE_COLUMNS[k](cap * probeStride(k))]);
+  return Object.fromEntries(entries);
+}
+
+function probeStride(k) {
+  return k === "cargo" ? CARGO_STRIDE : 1;
+}
+
+function probeStoreEnsure(s, n) {
+  if (n <= s.cap) return;
+  let cap = s.cap;
+  while (cap < n) cap *= 2;
+  for (const k of PROBE_KEYS) {
+    const a = new PROBE_COLUMNS[k](cap * probeStride(k));
+    a.set(s[k].subarray(0, s.n * probeStride(k)));
+    s[k] = a;
+  }
+  s.cap = cap;
+}
+
+function resetProbeSlots(n) {
+  probeSlotOf = new Int32Array(Math.max(n || 0, 1024)).fill(-1);
+}
+
+function setProbeSlot(id, slot) {
+  if (id >= probeSlotOf.length) {
+    let cap = probeSlotOf.length;
+    while (cap <= id) cap *= 2;
+    const a = new Int32Array(cap).fill(-1);
+    a.set(probeSlotOf);
+    probeSlotOf = a;
+  }
+  probeSlotOf[id] = slot;
+}
+
+function probeSlot(id) {
+  return id >= 0 && id < probeSlotOf.length ? probeSlotOf[id] : -1;
+}
+
+// New probe at the end of store s (founders and the player have parentId -1). Counts toward its
+// faction and gets a slot by id only in `probes`; colonists are counted with their colony.
+function spawnProbe(s, x, y, isPlayer, dna, faction, parentId) {
+  const id = isPlayer ? PLAYER_ID : _probeId++;
+  probeStoreEnsure(s, s.n + 1);
+  const i = s.n++;
+  if (s === probes) {
+    factions[faction].count++;
+    setProbeSlot(id, i);
+  }
+  lineageBirth(id, parentId, faction);
+
+  s.id[i] = id;
+  s.faction[i] = faction;
+  s.x[i] = x;
+  s.y[i] = y;
+
+  const a = rand(0, TURN);
+  s.vx[i] = Math.cos(a) * 20;
+  s.vy[i] = Math.sin(a) * 20;
+
+  s.heading[i] = rand(0, TURN);
+  setResources(s, i, isPlayer ? 0 : rand(0, 8));
+  for (let k = 0; k < GENE_NAMES.length; k++) s[GENE_NAMES[k]][i] = dna[GENE_NAMES[k]];
+
+  // AI state
+  s.target[i] = -1;
+  s.radarCooldown[i] = rand(0.2, 1.2);
+  s.wanderT[i] = rand(0.2, 1.2);
+  s.replCooldown[i] = 0;
+  const comms = !isPlayer && COMMS > 0 && (COMMS_SHARE >= 1 || rngNext() < COMMS_SHARE);
+
+  s.sacrificeT[i] = 0;
+
+  // Reliability
+  s.age[i] = 0;
+  s.lifespan[i] = isPlayer ? 0 : drawLifespan();
+  s.failT[i] = isPlayer ? 0 : drawFailureDelay();
+
+  s.flags[i] = (isPlayer ? PF_PLAYER : 0) | (comms ? PF_COMMS : 0);
+  return i;
+}
+
+// Sets a probe's resources, split by RECIPE across its cargo when MATERIALS_ON
+function setResources(s, i, amount) {
+  s.resources[i] = amount;
+  const o = i * CARGO_STRIDE;
+  for (let m = 0; m < CARGO_STRIDE; m++) s.cargo[o + m] = MATERIALS_ON ? amount * RECIPE[m] : 0;
+}
+
+// Appends a copy of slot i of store `from` to store `to`; returns its slot there
+function copyProbe(from, i, to) {
+  probeStoreEnsure(to, to.n + 1);
+  const j = to.n++;
+  for (const k of PROBE_KEYS) {
+    const w = probeStride(k);
+    for (let m = 0; m < w; m++) to[k][j * w + m] = from[k][i * w + m];
+  }
+  if (to === probes) setProbeSlot(to.id[j], j);
+  return j;
+}
+
+// Drops the probes with any of the `mask` flags from store s, keeping the order of the rest:
+// one pass per column from the first slot dropped
+function compactProbes(mask, s = probes) {
+  const main = s === probes;
+  const flags = s.flags;
+  const n = s.n;
+  let first = 0;
+  while (first < n && !(flags[first] & mask)) first++;
+  if (first === n) return;
+
+  if (main) for (let i = first; i < n; i++) if (flags[i] & mask) probeSlotOf[s.id[i]] = -1;
+
+  let w = first;
+  for (const k of PROBE_KEYS) {
+    if (k === "flags") continue; // last: it says what to keep
+    const c = s[k];
+    const stride = probeStride(k);
+    w = first;
+    if (stride === 1) {
+      for (let i = first; i < n; i++) if (!(flags[i] & mask)) c[w++] = c[i];
+    } else {
+      for (let i = first; i < n; i++) {
+        if (flags[i] & mask) continue;
+        c.copyWithin(w * stride, i * stride, i * stride + stride);
+        w++;
+      }
+    }
+  }
+  w = first;
+  for (let i = first; i < n; i++) if (!(flags[i] & mask)) flags[w++] = flags[i];
+  s.n = w;
+
+  if (main) for (let i = first; i < w; i++) probeSlotOf[s.id[i]] = i;
+}
+
+// Genes of slot i of store s, into `out`
+function probeDNA(s, i, out) {
+  for (let k = 0; k < GENE_NAMES.length; k++) out[GENE_NAMES[k]] = s[GENE_NAMES[k]][i];
+  return out;
+}
+
+// The shared Master AI waypoint the probe in slot i is heading for, or null
+function probeWaypoint(i) {
+  return probes.flags[i] & PF_WAYPOINT ? factions[probes.faction[i]].master.waypoint : null;
+}
+
+// A probe of the current system as a plain object (null if it isn't here). For the HUD and
+// scripts, not for loops over every probe.
+function probeInfo(id) {
+  const i = probeSlot(id);
+  if (i < 0) return null;
+  const s = probes;
+  const flags = s.flags[i];
+  return {
+    id,
+    faction: s.faction[i],
+    isPlayer: (flags & PF_PLAYER) !== 0,
+    dead: (flags & PF_DEAD) !== 0,
+    sacrificing: (flags & PF_SACRIFICING) !== 0,
+    defective: (flags & PF_DEFECTIVE) !== 0,
+    comms: (flags & PF_COMMS) !== 0,
+    x: s.x[i],
+    y: s.y[i],
+    vx: s.vx[i],
+    vy: s.vy[i],
+    heading: s.heading[i],
+    resources: s.resources[i],
+    cargo: MATERIALS_ON ? Array.from(s.cargo.subarray(i * CARGO_STRIDE, (i + 1) * CARGO_STRIDE)) : null,
+    dna: probeDNA(s, i, {}),
+    target: s.target[i],
+    waypoint: probeWaypoint(i),
+    sacrificeT: s.sacrificeT[i],
+    age: s.age[i],
+    lifespan: s.lifespan[i],
+    parentId: lineage.parent[id],
+    generation: lineage.gen[id],
+    bornT: lineage.born[id] / STEPS_PER_SECOND,
+    bornSystem: lineage.system[id],
+  };
+}
+
+// ---------------- Probe behavior ----------------
+
+// simStep runs each stage as its own pass over the slots of `probes`: updateProbes (aging and
+// failures, control, then integration), harvestProbes, replicateProbes, and purgeDead's
+// compaction. The per-probe helpers below take a slot.
+
+function updateProbes(dt) {
+  if (dt <= 0) return;
+  const P = probes;
+
+  for (let i = 0; i < P.n; i++) {
+    const flags = P.flags[i];
+    if (flags & PF_DEAD) continue;
+
+    P.age[i] += dt;
+    if (!(flags & PF_SACRIFICING)) {
+      if (P.lifespan[i] > 0 && P.age[i] >= P.lifespan[i]) {
+        P.flags[i] = flags | PF_DEAD;
+        continue;
+      }
+      if (P.failT[i] > 0) {
+        P.failT[i] -= dt;
+        if (P.failT[i] <= 0) {
+          failSubsystem(i);
+          P.failT[i] = drawFailureDelay();
+        }
+      }
+    }
+
+    if (flags & PF_SACRIFICING) sacrificeBehavior(i, dt);
+    else if (flags & PF_PLAYER) playerControl(i, dt);
+    else aiControl(i, dt);
+  }
+
+  // Integrate, damp and wrap. Nothing spawns during the update, so the columns stay put.
+  // Damping is vel *= pow(0.35, dt), precomputed for FIXED_DT (DAMP_FACTOR); wrapping is fast
+  // because positions never jump by more than the world size.
+  const x = P.x,
+    y = P.y,
+    vx = P.vx,
+    vy = P.vy,
+    fl = P.flags;
+  const W = WORLD.w,
+    H = WORLD.h;
+  const damp = DAMP_FACTOR;
+  for (let i = 0; i < P.n; i++) {
+    if (fl[i] & PF_DEAD) continue; // gone at the end of the step anyway
+    x[i] = wrap01Fast(x[i] + vx[i] * dt, W);
+    y[i] = wrap01Fast(y[i] + vy[i] * dt, H);
+    vx[i] *= damp;
+    vy[i] *= damp;
+  }
+}
+
+function playerControl(i, dt) {
+  const P = probes;
+  const ax = playerInput.ax,
+    ay = playerInput.ay;
+
+  const boost = playerInput.boost ? 1.55 : 1.0;
+
+  // Light autopilot during Master event when no input
+  const m = factions[P.faction[i]].master;
+  const masterActive = m.state !== "NORMAL" && m.waypoint;
+  if (masterActive && ax === 0 && ay === 0) {
+    const dx = wrapDeltaFast(m.waypoint.x - P.x[i], WORLD.w);
+    const dy = wrapDeltaFast(m.waypoint.y - P.y[i], WORLD.h);
+    const d2 = dx * dx + dy * dy;
+    if (d2 > 1e-6) {
+      const inv = 1 / Math.sqrt(d2);
+      const ux = dx * inv,
+        uy = dy * inv;
+      const accel = P.accel[i] * 0.85;
+      P.vx[i] += ux * accel * dt;
+      P.vy[i] += uy * accel * dt;
+      P.heading[i] = Math.atan2(uy, ux);
+    }
+  }
+
+  if (ax !== 0 || ay !== 0) {
+    const mag = Math.sqrt(ax * ax + ay * ay);
+    const ux = ax / mag,
+      uy = ay / mag;
+    const accel = P.accel[i] * boost;
+    P.vx[i] += ux * accel * dt;
+    P.vy[i] += uy * accel * dt;
+    P.heading[i] = Math.atan2(uy, ux);
+  }
+
+  clampVel(i, P.maxSpeed[i] * boost);
+}
+
+function aiControl(i, dt) {
+  const P = probes;
+  const comms = (P.flags[i] & PF_COMMS) !== 0;
+  P.replCooldown[i] = Math.max(0, P.replCooldown[i] - dt);
+  if (COMMS) commsStats.time[comms ? 1 : 0] += dt;
+
+  // Master override
+  const m = factions[P.faction[i]].master;
+  const masterActive = m.state !== "NORMAL" && m.waypoint;
+  if (masterActive) {
+    P.flags[i] |= PF_WAYPOINT;
+    steerToWaypoint(i, dt);
+    return;
+  }
+
+  // If we have a target, chase it
+  if (P.target[i] >= 0) {
+    const heard = (P.flags[i] & PF_HEARD) !== 0;
+    const r = resources[P.target[i]];
+    if (r && r.amt > 0.001) {
+      chaseTarget(i, dt, r);
+
+      // Drop target if absurdly far (targets heard over comms start far away)
+      const dx = wrapDeltaFast(r.x - P.x[i], WORLD.w);
+      const dy = wrapDeltaFast(r.y - P.y[i], WORLD.h);
+      const d2 = dx * dx + dy * dy;
+      if (!heard && d2 > P.radarRange[i] * P.radarRange[i] * 3.2) P.target[i] = -1;
+      return;
+    } else {
+      if (heard) publishDeposit(i, P.target[i], false); // stale report
+      P.target[i] = -1;
+    }
+  }
+
+  // No target: radar-wander loop
+  P.radarCooldown[i] -= dt;
+  P.wanderT[i] = Math.max(0, P.wanderT[i] - dt);
+
+  if (P.radarCooldown[i] <= 0) {
+    const foundIdx = radarPing(i);
+    if (COMMS) commsStats.pings[comms ? 1 : 0]++;
+    if (foundIdx >= 0) {
+      P.target[i] = foundIdx;
+      P.flags[i] &= ~PF_HEARD;
+      if (comms) publishDeposit(i, foundIdx, true);
+      P.radarCooldown[i] = rand(RADAR_COOLDOWN_MIN, RADAR_COOLDOWN_MAX) * (P.radarInterval[i] / RADAR_COOLDOWN_MEAN);
+      return;
+    }
+
+    // Miss: head for a deposit the others reported, if any
+    const heardIdx = comms ? heardDeposit(i) : -1;
+    if (heardIdx >= 0) {
+      P.target[i] = heardIdx;
+      P.flags[i] |= PF_HEARD;
+      commsStats.heard++;
+      P.radarCooldown[i] = rand(RADAR_COOLDOWN_MIN, RADAR_COOLDOWN_MAX) * (P.radarInterval[i] / RADAR_COOLDOWN_MEAN);
+      return;
+    }
+
+    // Miss: wander a bit, then ping again
+    P.heading[i] = rand(0, TURN);
+    P.wanderT[i] = rand(WANDER_MIN, WANDER_MAX);
+    P.radarCooldown[i] = P.wanderT[i] + rand(RADAR_COOLDOWN_MIN, RADAR_COOLDOWN_MAX) * (P.radarInterval[i] / RADAR_COOLDOWN_MEAN);
+  }
+
+  if (P.wanderT[i] <= 0 && rngNext() < 0.03) P.heading[i] += rand(-0.7, 0.7);
+
+  const ux = Math.cos(P.heading[i]),
+    uy = Math.sin(P.heading[i]);
+  const accel = P.accel[i] * 0.33;
+  P.vx[i] += ux * accel * dt;
+  P.vy[i] += uy * accel * dt;
+
+  clampVel(i, P.maxSpeed[i]);
+}
+
+function radarPing(i) {
+  if (resourceActive.length <= 0) return -1;
+  const P = probes;
+  const px = P.x[i],
+    py = P.y[i];
+
+  const ci = cellIndexForPos(px, py);
+  const neigh = radarCellNeighbors[ci];
+
+  let bestIdx = -1;
+  let bestD2 = Infinity;
+  const range2 = P.radarRange[i] * P.radarRange[i];
+  const w = MATERIALS_ON ? materialWeights(i) : null; // short materials look closer
+
+  for (let n = 0; n < neigh.length; n++) {
+    const cell = resGrid[neigh[n]];
+    for (let k = 0; k < cell.length; k++) {
+      const ridx = cell[k];
+      const r = resources[ridx];
+      if (!r || r.amt <= 0.001) continue;
+
+      const dx = wrapDeltaFast(r.x - px, WORLD.w);
+      const dy = wrapDeltaFast(r.y - py, WORLD.h);
+      const d2 = dx * dx + dy * dy;
+
+      const score = w ? d2 / (w[r.mat] * w[r.mat]) : d2;
+      if (d2 <= range2 && score < bestD2) {
+        bestD2 = score;
+        bestIdx = ridx;
+      }
+    }
+  }
+
+  return bestIdx;
+}
+
+function chaseTarget(i, dt, r) {
+  const P = probes;
+  const dx = wrapDeltaFast(r.x - P.x[i], WORLD.w);
+  const dy = wrapDeltaFast(r.y - P.y[i], WORLD.h);
+
+  const d2 = dx * dx + dy * dy;
+  if (d2 < 1e-6) return;
+
+  const dist = Math.sqrt(d2);
+  const ux = dx / dist,
+    uy = dy / dist;
+
+  const slow = mapClamp(dist, 0, 240, 0.2, 1.0);
+  const accel = P.accel[i] * 0.78 * slow;
+
+  P.vx[i] += ux * accel * dt;
+  P.vy[i] += uy * accel * dt;
+
+  P.heading[i] = Math.atan2(uy, ux);
+  clampVel(i, P.maxSpeed[i]);
+}
+
+function steerToWaypoint(i, dt) {
+  const wp = probeWaypoint(i);
+  if (!wp) return;
+  const P = probes;
+
+  const dx = wrapDeltaFast(wp.x - P.x[i], WORLD.w);
+  const dy = wrapDeltaFast(wp.y - P.y[i], WORLD.h);
+  const d2 = dx * dx + dy * dy;
+  if (d2 < 1) return;
+
+  const dist = Math.sqrt(d2);
+  const ux = dx / dist,
+    uy = dy / dist;
+
+  const slow = mapClamp(dist, 0, 420, 0.25, 1.0);
+  const accel = P.accel[i] * 0.75 * slow;
+
+  P.vx[i] += ux * accel * dt;
+  P.vy[i] += uy * accel * dt;
+  P.heading[i] = Math.atan2(uy, ux);
+
+  clampVel(i, P.maxSpeed[i]);
+}
+
+function harvestProbes(dt) {
+  if (dt <= 0) return;
+  const P = probes;
+  for (let i = 0; i < P.n; i++) {
+    if (P.flags[i] & PF_DEAD) continue;
+    if (resourceActive.length <= 0) return;
+    harvestProbe(i, dt);
+  }
+}
+
+function harvestProbe(i, dt) {
+  const P = probes;
+  const px = P.x[i],
+    py = P.y[i];
+
+  // 1) If touching current target, harvest it.
+  const t = P.target[i];
+  if (t >= 0) {
+    const r = resources[t];
+    if (r && r.amt > 0.001) {
+      const dx = wrapDeltaFast(r.x - px, WORLD.w);
+      const dy = wrapDeltaFast(r.y - py, WORLD.h);
+      const touch = PROBE_RADIUS + r.radius + TOUCH_PAD;
+      if (dx * dx + dy * dy <= touch * touch) {
+        harvestFrom(i, t, dt);
+        return;
+      }
+    } else {
+      P.target[i] = -1;
+    }
+  }
+
+  // 2) Otherwise, check nearby cells for any touching resource.
+  const ci = cellIndexForPos(px, py);
+  const neigh = harvestCellNeighbors[ci];
+
+  let best = -1;
+  let bestD2 = Infinity;
+
+  for (let n = 0; n < neigh.length; n++) {
+    const cell = resGrid[neigh[n]];
+    for (let k = 0; k < cell.length; k++) {
+      const ridx = cell[k];
+      const r = resources[ridx];
+      if (!r || r.amt <= 0.001) continue;
+
+      const dx = wrapDeltaFast(r.x - px, WORLD.w);
+      const dy = wrapDeltaFast(r.y - py, WORLD.h);
+      const touch = PROBE_RADIUS + r.radius + TOUCH_PAD;
+      const d2 = dx * dx + dy * dy;
+
+      if (d2 <= touch * touch && d2 < bestD2) {
+        bestD2 = d2;
+        best = ridx;
+      }
+    }
+  }
+
+  if (best >= 0) harvestFrom(i, best, dt);
+}
+
+function harvestFrom(i, ridx, dt) {
+  const r = resources[ridx];
+  if (!r || r.amt <= 0.001) return;
+  const P = probes;
+
+  const take = Math.min(r.amt, P.harvest[i] * dt);
+
+  r.amt -= take;
+  P.resources[i] += take;
+  if (MATERIALS_ON) P.cargo[i * CARGO_STRIDE + r.mat] += take;
+  systemRemainingTotal = Math.max(0, systemRemainingTotal - take);
+  const comms = (P.flags[i] & PF_COMMS) !== 0;
+  if (COMMS && !(P.flags[i] & PF_PLAYER)) commsStats.harvest[comms ? 1 : 0] += take;
+
+  if (r.amt <= 0.001) {
+    r.amt = 0;
+    deactivateResource(ridx);
+    if (comms) publishDeposit(i, ridx, false);
+    if (P.target[i] === ridx) P.target[i] = -1;
+  }
+}
+
+// AI probes of idle factions replicate once they can afford cost * replThreshold. Children
+// spawn at the end and get their turn in the same pass; a spawn may grow the columns, so
+// they are looked up on the store each time.
+function replicateProbes(dt) {
+  if (dt <= 0) return;
+  const P = probes;
+  for (let i = 0; i < P.n; i++) {
+    if (P.flags[i] & (PF_DEAD | PF_PLAYER)) continue;
+    if (localPopulation() >= HARD_PROBE_CAP) return;
+    if (factions[P.faction[i]].master.state !== "NORMAL") continue;
+    if (P.replCooldown[i] > 0) continue;
+
+    const cost = replicateCost(i);
+    if (canAfford(i, cost * P.replThreshold[i])) {
+      replicate(i, cost);
+      P.replCooldown[i] = rand(REPL_COOLDOWN_MIN, REPL_COOLDOWN_MAX) * (P.replInterval[i] / REPL_COOLDOWN_MEAN);
+    }
+  }
+}
+
+function replicate(i, cost) {
+  const P = probes;
+  const total = cost + (P.childRes[i] - CHILD_START_RES); // endowment beyond the usual is extra
+  if (localPopulation() >= HARD_PROBE_CAP) return;
+  if (!canAfford(i, total)) return;
+  if (factions[P.faction[i]].master.state !== "NORMAL") return;
+
+  pay(i, total);
+
+  const a = rand(0, TURN);
+  const m = rand(22, 45);
+  const cx = wrap01Fast(P.x[i] + Math.cos(a) * m, WORLD.w);
+  const cy = wrap01Fast(P.y[i] + Math.sin(a) * m, WORLD.h);
+  const c = buildChild(P, i, cx, cy);
+
+  const av = rand(0, TURN);
+  const mv = rand(30, 90);
+  P.vx[c] = Math.cos(av) * mv;
+  P.vy[c] = Math.sin(av) * mv;
+
+  simStats.births++;
+}
+
+// The child of slot i of store s, spawned into s: mutated DNA, endowment, and maybe a copy
+// error (also used by colonies). Returns the child's slot.
+function buildChild(s, i, x, y) {
+  const c = spawnProbe(s, x, y, false, mutateDNA(probeDNA(s, i, _parentDNA)), s.faction[i], s.id[i]);
+  setResources(s, c, s.childRes[i]);
+
+  // Copy error: the child comes out crippled and short-lived
+  if (DEFECT_PROB > 0 && rngNext() < DEFECT_PROB) {
+    s.flags[c] |= PF_DEFECTIVE;
+    s.accel[c] *= rand(DEFECT_PENALTY_MIN, DEFECT_PENALTY_MAX);
+    s.harvest[c] *= rand(DEFECT_PENALTY_MIN, DEFECT_PENALTY_MAX);
+    s.lifespan[c] *= 0.5;
+    simStats.defects++;
+  }
+  return c;
+}
+
+const _parentDNA = {};
+
+// Enough for `amount`: of every material by RECIPE, or in total without materials
+function canAfford(i, amount, s = probes) {
+  if (!MATERIALS_ON) return s.resources[i] >= amount;
+  const o = i * CARGO_STRIDE;
+  for (let m = 0; m < RECIPE.length; m++) if (s.cargo[o + m] < amount * RECIPE[m]) return false;
+  return true;
+}
+
+function pay(i, amount, s = probes) {
+  s.resources[i] -= amount;
+  if (!MATERIALS_ON) return;
+  const o = i * CARGO_STRIDE;
+  for (let m = 0; m < RECIPE.length; m++) s.cargo[o + m] -= amount * RECIPE[m];
+}
+
+// Heads for its faction's waypoint (set before this is called) and dies on arrival
+function beginSacrifice(i) {
+  const P = probes;
+  if (P.flags[i] & PF_PLAYER) return;
+  P.flags[i] |= PF_SACRIFICING | PF_WAYPOINT;
+  P.sacrificeT[i] = rand(0.7, 1.25);
+  P.target[i] = -1;
+}
+
+function sacrificeBehavior(i, dt) {
+  const P = probes;
+  const wp = probeWaypoint(i);
+  if (wp) {
+    const dx = wrapDeltaFast(wp.x - P.x[i], WORLD.w);
+    const dy = wrapDeltaFast(wp.y - P.y[i], WORLD.h);
+    const d2 = dx * dx + dy * dy;
+
+    if (d2 > 1) {
+      const inv = 1 / Math.sqrt(d2);
+      const ux = dx * inv,
+        uy = dy * inv;
+      const accel = P.accel[i] * 1.1;
+      P.vx[i] += ux * accel * dt;
+      P.vy[i] += uy * accel * dt;
+      P.heading[i] = Math.atan2(uy, ux);
+    }
+  }
+
+  clampVel(i, P.maxSpeed[i] * 1.15);
+
+  P.sacrificeT[i] -= dt;
+  if (P.sacrificeT[i] <= 0) P.flags[i] |= PF_DEAD;
+}
+
+// Precompute damping for fixed dt (hot path)
+const DAMP_FACTOR = Math.pow(0.35, FIXED_DT);
+
+function clampVel(i, maxSpeed) {
+  const P = probes;
+  const vx = P.vx[i],
+    vy = P.vy[i];
+  const v2 = vx * vx + vy * vy;
+  const ms2 = maxSpeed * maxSpeed;
+  if (v2 > ms2) {
+    const inv = maxSpeed / Math.sqrt(v2);
+    P.vx[i] = vx * inv;
+    P.vy[i] = vy * inv;
+  }
+}
+
+// Remove dead probes (sacrificed or worn out) in one compaction pass
+function purgeDead() {
+  const P = probes;
+  let died = 0;
+
+  for (let i = 0; i < P.n; i++) {
+    const flags = P.flags[i];
+    if (!(flags & PF_DEAD)) continue;
+    died++;
+    const f = factions[P.faction[i]];
+    f.count--;
+    lineage.died[P.id[i]] = simTick;
+    if (flags & PF_SACRIFICING) {
+      f.master.sacrificed++;
+      simStats.sacrifices++;
+    } else {
+      simStats.deaths++;
+    }
+  }
+
+  if (died > 0) {
+    compactProbes(PF_DEAD);
+    if (probeSlot(focusId) < 0) focusId = PLAYER_ID;
+  }
+}
+
+function reliabilityEnabled() {
+  return LIFESPAN > 0 || FAILURE_INTERVAL > 0 || DEFECT_PROB > 0;
+}
+
+// Lifespan for a new AI probe (0 = immortal); only draws from the RNG when aging is on
+function drawLifespan() {
+  return LIFESPAN > 0 ? LIFESPAN * rand(1 - LIFESPAN_SPREAD, 1 + LIFESPAN_SPREAD) : 0;
+}
+
+// Seconds until the next subsystem failure (exponential; 0 = none scheduled)
+function drawFailureDelay() {
+  return FAILURE_INTERVAL > 0 ? -Math.log(1 - rngNext()) * FAILURE_INTERVAL : 0;
+}
+
+// A failed subsystem permanently weakens either propulsion or the harvester
+function failSubsystem(i, s = probes) {
+  const trait = rngNext() < 0.5 ? "accel" : "harvest";
+  const col = s[trait];
+  col[i] = Math.max(FAILURE_FLOOR[trait], col[i] * FAILURE_DEGRADE);
+  simStats.failures++;
+}
+
+// ---------------- Lineage ----------------
+
+// Every probe ever built, by id. Ids are handed out in birth order, so a parent's id is always
+// lower than its children's; records are kept after death, so extinct branches still count.
+// Columns are typed arrays grown by doubling: parent id (-1 = founder), generation, birth tick,
+// birth system, faction, death tick (-1 = alive).
+const LINEAGE_COLUMNS = {
+  parent: Int32Array,
+  gen: Int32Array,
+  born: Int32Array,
+  system: Int32Array,
+  faction: Uint8Array,
+  died: Int32Array,
+};
+
+let lineage = null; // { cap, parent, gen, born, system, faction, died }
+
+function resetLineage(cap) {
+  lineage = { cap: Math.max(cap || 0, 1024) };
+  for (const k of Object.keys(LINEAGE_COLUMNS)) lineage[k] = new LINEAGE_COLUMNS[k](lineage.cap);
+  lineage.died.fill(-1);
+}
+
+function lineageEnsure(n) {
+  if (n <= lineage.cap) return;
+  let cap = lineage.cap;
+  while (cap < n) cap *= 2;
+  for (const k of Object.keys(LINEAGE_COLUMNS)) {
+    const a = new LINEAGE_COLUMNS[k](cap);
+    a.set(lineage[k]);
+    if (k === "died") a.fill(-1, lineage.cap);
+    lineage[k] = a;
+  }
+  lineage.cap = cap;
+}
+
+// Born now, here; founders and the player have no parent (-1)
+function lineageBirth(id, parentId, faction) {
+  lineageEnsure(id + 1);
+  lineage.parent[id] = parentId;
+  lineage.gen[id] = parentId >= 0 ? lineage.gen[parentId] + 1 : 0;
+  lineage.born[id] = simTick;
+  lineage.system[id] = systemIndex;
+  lineage.faction[id] = faction;
+  lineage.died[id] = -1;
+}
+
+// Number of ids with a record (the player is id 0)
+function lineageCount() {
+  return _probeId;
+}
+
+function lineageInfo(id) {
+  const died = lineage.died[id];
+  return {
+    id,
+    parent: lineage.parent[id],
+    gen: lineage.gen[id],
+    bornT: lineage.born[id] / STEPS_PER_SECOND,
+    bornSystem: lineage.system[id],
+    faction: lineage.faction[id],
+    diedT: died >= 0 ? died / STEPS_PER_SECOND : null,
+  };
+}
+
+// Descendant counts (all-time and living) and child lists for every id, in one reverse pass.
+// O(births); callers cache it rather than rebuilding every frame.
+function lineageTree() {
+  const n = lineageCount();
+  const desc = new Int32Array(n);
+  const alive = new Int32Array(n);
+  const childCount = new Int32Array(n + 1);
+
+  for (let id = n - 1; id >= 0; id--) {
+    if (lineage.died[id] < 0) alive[id]++;
+    const par = lineage.parent[id];
+    if (par < 0) continue;
+    desc[par] += desc[id] + 1;
+    alive[par] += alive[id];
+    childCount[par + 1]++;
+  }
+
+  // Children in CSR form: ids of children of `id` are childList[childStart[id] .. childStart[id + 1])
+  const childStart = childCount;
+  for (let id = 0; id < n; id++) childStart[id + 1] += childStart[id];
+  const fill = childStart.slice(0, n);
+  const childList = new Int32Array(childStart[n]);
+  for (let id = 0; id < n; id++) {
+    const par = lineage.parent[id];
+    if (par >= 0) childList[fill[par]++] = id;
+  }
+
+  return { n, desc, alive, childStart, childList, tick: simTick };
+}
+
+// Living members of a lineage = alive[id] (includes the root itself while it lives)
+function lineageChildren(tree, id) {
+  return Array.from(tree.childList.subarray(tree.childStart[id], tree.childStart[id + 1]));
+}
+
+// From the founder down to `id`
+function lineageAncestors(id) {
+  const chain = [];
+  for (let a = id; a >= 0; a = lineage.parent[a]) chain.push(a);
+  return chain.reverse();
+}
+
+// The k largest lineages rooted at generation `gen` (0 = founders), extinct ones included
+function topLineages(tree, gen, k) {
+  const roots = [];
+  for (let id = 0; id < tree.n; id++) if (lineage.gen[id] === gen) roots.push(id);
+  roots.sort((a, b) => tree.desc[b] - tree.desc[a] || a - b);
+  return roots.slice(0, k);
+}
+
+// ---------------- Player commands ----------------
+
+function playerReplicate() {
+  if (master.state !== "NORMAL") return;
+
+  const i = probeSlot(PLAYER_ID);
+  const cost = replicateCost(i);
+  if (canAfford(i, cost) && localPopulation() < HARD_PROBE_CAP) replicate(i, cost);
+}
+
+// Player's pick of the next system (galaxy map): a lane from here, only while the player's
+// swarm is charging. Returns whether it was accepted.
+function chooseDestination(id) {
+  if (!galaxy || master.state !== "CHARGE") return false;
+  if (galaxy.links[galaxy.current].indexOf(id) < 0) return false;
+  galaxy.destination = id;
+  if (replayRec) replayRec.destinations.push([simTick, id]);
+  return true;
+}
+
+function cycleFocus() {
+  focusId = nextFocusProbe();
+  if (replayRec) replayRec.focus.push([simTick, focusId]);
+}
+
+// Id of the probe after the focus, in slot order
+function nextFocusProbe() {
+  const P = probes;
+  if (P.n <= 1) return PLAYER_ID;
+
+  const idx = probeSlot(focusId);
+  if (idx < 0) return PLAYER_ID;
+
+  // Next probe (skip dead)
+  for (let step = 1; step <= P.n; step++) {
+    const j = (idx + step) % P.n;
+    if (!(P.flags[j] & PF_DEAD)) return P.id[j];
+  }
+
+  return PLAYER_ID;
+}
+
+// ---------------- Wrapping helpers (FAST) ----------------
+
+// Fast wrap for values that won't jump more than a world-size in one step.
+// With FIXED_DT and speed caps, this is safe and avoids % in hot path.
+function wrap01Fast(v, size) {
+  if (v < 0) v += size;
+  else if (v >= size) v -= size;
+  // In the extremely rare case of huge jumps (e.g., external edits), fix with modulo
+  if (v < 0 || v >= size) {
+    v = v % size;
+    if (v < 0) v += size;
+  }
+  return v;
+}
+
+// Inputs are always in [-size, size] because x,y are in [0,size)
+function wrapDeltaFast(d, size) {
+  const half = size * 0.5;
+  if (d > half) d -= size;
+  else if (d < -half) d += size;
+  return d;
+}
+
+function distWrapped(ax, ay, bx, by) {
+  const dx = wrapDeltaFast(bx - ax, WORLD.w);
+  const dy = wrapDeltaFast(by - ay, WORLD.h);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// ---------------- Spatial grid ----------------
+
+function initResGrid() {
+  resGridW = Math.ceil(WORLD.w / RES_CELL);
+  resGridH = Math.ceil(WORLD.h / RES_CELL);
+  resGrid = Array.from({ length: resGridW * resGridH }, () => []);
+}
+
+function cellIndexForPos(x, y) {
+  // x,y already wrapped to [0,size)
+  let cx = (x / RES_CELL) | 0;
+  let cy = (y / RES_CELL) | 0;
+  if (cx >= resGridW) cx = resGridW - 1;
+  if (cy >= resGridH) cy = resGridH - 1;
+  return cx + cy * resGridW;
+}
+
+function gridAddResource(idx) {
+  const r = resources[idx];
+  const ci = cellIndexForPos(r.x, r.y);
+  const cell = resGrid[ci];
+  r._gridCell = ci;
+  r._gridIndex = cell.length;
+  cell.push(idx);
+}
+
+function gridRemoveResource(idx) {
+  const r = resources[idx];
+  const ci = r._gridCell;
+  const gi = r._gridIndex;
+  if (ci == null || gi == null || ci < 0 || gi < 0) return;
+
+  const cell = resGrid[ci];
+  const last = cell.length - 1;
+  const lastIdx = cell[last];
+
+  cell[gi] = lastIdx;
+  resources[lastIdx]._gridIndex = gi;
+
+  cell.pop();
+  r._gridCell = -1;
+  r._gridIndex = -1;
+}
+
+function buildNeighborLists() {
+  const totalCells = resGridW * resGridH;
+
+  // Radar neighbors: within R cells (based on maxRadarRange() and RES_CELL).
+  // A range wider than the (toroidal) grid visits each column/row once instead of wrapping onto itself.
+  const R = Math.ceil(maxRadarRange() / RES_CELL) + 1;
+  const xFrom = 2 * R + 1 >= resGridW ? 0 : -R,
+    xTo = 2 * R + 1 >= resGridW ? resGridW - 1 : R;
+  const yFrom = 2 * R + 1 >= resGridH ? 0 : -R,
+    yTo = 2 * R + 1 >= resGridH ? resGridH - 1 : R;
+
+  radarCellNeighbors = Array.from({ length: totalCells }, () => []);
+  harvestCellNeighbors = Array.from({ length: totalCells }, () => []);
+
+  for (let cy = 0; cy < resGridH; cy++) {
+    for (let cx = 0; cx < resGridW; cx++) {
+      const ci = cx + cy * resGridW;
+
+      // Radar neighbors
+      const rn = radarCellNeighbors[ci];
+      for (let oy = yFrom; oy <= yTo; oy++) {
+        const ncy = mod(cy + oy, resGridH);
+        for (let ox = xFrom; ox <= xTo; ox++) {
+          const ncx = mod(cx + ox, resGridW);
+          rn.push(ncx + ncy * resGridW);
+        }
+      }
+
+      // Harvest neighbors: 3x3
+      const hn = harvestCellNeighbors[ci];
+      for (let oy = -1; oy <= 1; oy++) {
+        const ncy = mod(cy + oy, resGridH);
+        for (let ox = -1; ox <= 1; ox++) {
+          const ncx = mod(cx + ox, resGridW);
+          hn.push(ncx + ncy * resGridW);
+        }
+      }
+    }
+  }
+}
+
+// ---------------- Probe hash ----------------
+
+// Rebuilt every step while probe interactions are on. Probes are bucketed into cells at least
+// FLOCK_RADIUS wide as linked lists in typed arrays: the first probe (slot in `probes`) in
+// cell c is probeCellHead[c], the next one probeNext[i], -1 ends the list. Like
+// harvestCellNeighbors, each cell's 3x3 neighborhood is precomputed
+// (probeCellNeighbors[c * 9 .. c * 9 + 9], the cell itself first). Clearing the heads is one
+// fill per step; PROBE_GRID_MAX_CELLS keeps that small on huge worlds (bigger cells instead).
+// Dead probes are left out.
+const PROBE_GRID_MAX_CELLS = 65536;
+
+let probeGridW = 0,
+  probeGridH = 0;
+let probeCellHead = null; // Int32Array(cells); null = rebuild the grid (config changed)
+let probeNext = null; // Int32Array(capacity)
+let probeCellOf = null; // Int32Array(capacity): cell of slot i
+let probeCellNeighbors = null; // Int32Array(cells * 9)
+
+function initProbeGrid() {
+  const cell = Math.max(FLOCK_RADIUS, PROBE_RADIUS * 2, Math.sqrt((WORLD.w * WORLD.h) / PROBE_GRID_MAX_CELLS));
+  probeGridW = Math.max(1, Math.floor(WORLD.w / cell));
+  probeGridH = Math.max(1, Math.floor(WORLD.h / cell));
+  const totalCells = probeGridW * probeGridH;
+
+  probeCellHead = new Int32Array(totalCells);
+  probeCellNeighbors = new Int32Array(totalCells * 9);
+
+  for (let cy = 0; cy < probeGridH; cy++) {
+    for (let cx = 0; cx < probeGridW; cx++) {
+      const ci = cx + cy * probeGridW;
+      let k = ci * 9;
+      probeCellNeighbors[k++] = ci;
+      for (let oy = -1; oy <= 1; oy++) {
+        const ncy = mod(cy + oy, probeGridH);
+        for (let ox = -1; ox <= 1; ox++) {
+          if (ox === 0 && oy === 0) continue;
+          const ncx = mod(cx + ox, probeGridW);
+          probeCellNeighbors[k++] = ncx + ncy * probeGridW;
+        }
+      }
+    }
+  }
+}
+
+function buildProbeHash() {
+  if (!probeCellHead) initProbeGrid();
+
+  const P = probes;
+  const n = P.n;
+  if (!probeNext || probeNext.length < n) {
+    const cap = Math.max(1024, Math.ceil(n * 1.5));
+    probeNext = new Int32Array(cap);
+    probeCellOf = new Int32Array(cap);
+    interactDV = new Float64Array(cap * 4);
+  }
+
+  const head = probeCellHead;
+  head.fill(-1);
+  const sx = probeGridW / WORLD.w,
+    sy = probeGridH / WORLD.h;
+  for (let i = 0; i < n; i++) {
+    if (P.flags[i] & PF_DEAD) continue;
+    let cx = (P.x[i] * sx) | 0;
+    let cy = (P.y[i] * sy) | 0;
+    if (cx >= probeGridW) cx = probeGridW - 1;
+    if (cy >= probeGridH) cy = probeGridH - 1;
+    const c = cx + cy * probeGridW;
+    probeCellOf[i] = c;
+    probeNext[i] = head[c];
+    head[c] = i;
+  }
+}
+
+// ---------------- Probe interactions ----------------
+
+// Boids-style steering for AI probes, using the probe hash: SEPARATION pushes away from every
+// probe within FLOCK_RADIUS (harder the closer), ALIGNMENT matches the mean velocity and
+// COHESION steers toward the mean position of same-faction neighbors. Each is scaled by the
+// probe's accel gene. SOFT_COLLISIONS moves overlapping probes (player included) apart by
+// half the overlap each. Sacrificing probes ignore all of it. A probe stops looking after
+// FLOCK_NEIGHBOR_CAP neighbors in range or FLOCK_SCAN_CAP candidates (its own cell comes
+// first), which bounds the cost inside dense crowds. Changes are computed for every probe
+// first and applied after, so the result doesn't depend on order.
+const FLOCK_NEIGHBOR_CAP = 24;
+const FLOCK_SCAN_CAP = 64;
+const FLOCK_GAIN = 0.5;
+
+let interactDV = null; // Float64Array(capacity * 4): dvx, dvy, dx, dy per probe
+
+function interactionsEnabled() {
+  return SEPARATION > 0 || ALIGNMENT > 0 || COHESION > 0 || SOFT_COLLISIONS > 0;
+}
+
+function applyProbeInteractions(dt) {
+  buildProbeHash();
+
+  const P = probes;
+  const n = P.n;
+  const steering = SEPARATION > 0 || ALIGNMENT > 0 || COHESION > 0;
+  const r = FLOCK_RADIUS,
+    r2 = r * r;
+  const touch = PROBE_RADIUS * 2,
+    touch2 = touch * touch;
+  const head = probeCellHead,
+    next = probeNext,
+    nbrs = probeCellNeighbors;
+  const hx = P.x,
+    hy = P.y,
+    hvx = P.vx,
+    hvy = P.vy,
+    hf = P.faction;
+  const W = WORLD.w,
+    H = WORLD.h;
+  const out = interactDV;
+
+  for (let i = 0; i < n; i++) {
+    const flags = P.flags[i];
+    const o = i * 4;
+    out[o] = out[o + 1] = out[o + 2] = out[o + 3] = 0;
+    if (flags & (PF_DEAD | PF_SACRIFICING)) continue;
+    const steer = steering && !(flags & PF_PLAYER);
+    if (!steer && !SOFT_COLLISIONS) continue;
+
+    let sepX = 0,
+      sepY = 0,
+      velX = 0,
+      velY = 0,
+      offX = 0,
+      offY = 0,
+      same = 0,
+      pushX = 0,
+      pushY = 0,
+      seen = 0,
+      scanned = 0;
+
+    const x = hx[i],
+      y = hy[i],
+      fac = hf[i];
+    const nb = probeCellOf[i] * 9;
+    scan: for (let k = 0; k < 9; k++) {
+      for (let j = head[nbrs[nb + k]]; j >= 0; j = next[j]) {
+        if (j === i) continue;
+        if (++scanned > FLOCK_SCAN_CAP) break scan;
+
+        const dx = wrapDeltaFast(hx[j] - x, W);
+        const dy = wrapDeltaFast(hy[j] - y, H);
+        const d2 = dx * dx + dy * dy;
+        if (d2 >= r2 || d2 === 0) continue;
+        const d = Math.sqrt(d2);
+
+        if (SOFT_COLLISIONS && d2 < touch2) {
+          const push = ((touch - d) * 0.5) / d;
+          pushX -= dx * push;
+          pushY -= dy * push;
+        }
+        if (steer) {
+          const w = 1 - d / r;
+          sepX -= (dx / d) * w;
+          sepY -= (dy / d) * w;
+          if (hf[j] === fac) {
+            velX += hvx[j];
+            velY += hvy[j];
+            offX += dx;
+            offY += dy;
+            same++;
+          }
+        }
+
+        if (++seen >= FLOCK_NEIGHBOR_CAP) break scan;
+      }
+    }
+
+    if (steer) {
+      let fx = sepX * SEPARATION,
+        fy = sepY * SEPARATION;
+      if (same > 0) {
+        fx += ((velX / same - hvx[i]) / P.maxSpeed[i]) * ALIGNMENT + (offX / same / r) * COHESION;
+        fy += ((velY / same - hvy[i]) / P.maxSpeed[i]) * ALIGNMENT + (offY / same / r) * COHESION;
+      }
+      const a = P.accel[i] * FLOCK_GAIN * dt;
+      out[o] = fx * a;
+      out[o + 1] = fy * a;
+    }
+    out[o + 2] = pushX;
+    out[o + 3] = pushY;
+  }
+
+  for (let i = 0; i < n; i++) {
+    const o = i * 4;
+    if (out[o] === 0 && out[o + 1] === 0 && out[o + 2] === 0 && out[o + 3] === 0) continue;
+    P.vx[i] += out[o];
+    P.vy[i] += out[o + 1];
+    clampVel(i, P.maxSpeed[i]);
+    P.x[i] = wrap01Fast(P.x[i] + out[o + 2], WORLD.w);
+    P.y[i] = wrap01Fast(P.y[i] + out[o + 3], WORLD.h);
+  }
+}
+
+function clamp(v, lo, hi) {
+  return v < lo ? lo : v > hi ? hi : v;
+}
+
+// Linear remap of v from [a,b] to [c,d], clamped to the output range
+function mapClamp(v, a, b, c, d) {
+  const t = clamp((v - a) / (b - a), 0, 1);
+  return c + (d - c) * t;
+}
+
+function mod(n, m) {
+  n = n % m;
+  if (n < 0) n += m;
+  return n;
+}
+
+// ---------------- Communication ----------------
+
+// Each faction shares a map of known deposits: one per resource grid cell, the last one
+// reported there. A comms probe reports the deposit its radar picks, deposits it empties
+// and deposits it finds already empty. Reports reach the map COMMS_LATENCY later, so the
+// map can be out of date. After a radar miss, a comms probe heads for the nearest known
+// deposit before it wanders; the search goes out ring by ring, to COMMS_RANGE in
+// range-limited mode. Only COMMS_SHARE of the AI probes take part, so commsStats can
+// compare them with the rest.
+const COMMS_RANGED = 2;
+const COMMS_COMPACT = 4096; // queue entries delivered before the queue is compacted
+
+// Per faction: { known: Int32Array(cells) of resource indices (-1 = none), emptying, queue, head }.
+// queue is flat: due tick, cell, resource index, 1 = found / 0 = empty. emptying holds, per cell,
+// the deposit an "empty" report is on its way for (-1 = none), so it goes out once.
+let commsBoards = [];
+let commsStats = newCommsStats();
+
+// Each pair is [probes without comms, probes with comms]. time is probe-seconds,
+// heard = targets taken from the map.
+function newCommsStats() {
+  return { time: [0, 0], pings: [0, 0], harvest: [0, 0], heard: 0 };
+}
+
+function resetCommsBoards() {
+  commsBoards = [];
+  if (!COMMS) return;
+  const cells = resGridW * resGridH;
+  for (let i = 0; i < factions.length; i++) {
+    commsBoards.push({ known: new Int32Array(cells).fill(-1), emptying: new Int32Array(cells).fill(-1), queue: [], head: 0 });
+  }
+}
+
+// Report by the probe in slot i
+function publishDeposit(i, ridx, found) {
+  const r = resources[ridx];
+  const board = commsBoards[probes.faction[i]];
+  const cell = cellIndexForPos(r.x, r.y);
+  if (found && board.known[cell] === ridx) return; // already on the map
+  if (!found) {
+    if (board.emptying[cell] === ridx) return; // already reported
+    board.emptying[cell] = ridx;
+  }
+  board.queue.push(simTick + Math.round(COMMS_LATENCY * STEPS_PER_SECOND), cell, ridx, found ? 1 : 0);
+}
+
+function deliverReports() {
+  for (let f = 0; f < commsBoards.length; f++) {
+    const board = commsBoards[f];
+    const q = board.queue;
+    let h = board.head;
+    while (h < q.length && q[h] <= simTick) {
+      const cell = q[h + 1],
+        ridx = q[h + 2];
+      if (q[h + 3] === 1) board.known[cell] = ridx;
+      else {
+        if (board.known[cell] === ridx) board.known[cell] = -1;
+        if (board.emptying[cell] === ridx) board.emptying[cell] = -1;
+      }
+      h += 4;
+    }
+    if (h === q.length) {
+      q.length = 0;
+      h = 0;
+    } else if (h >= COMMS_COMPACT && h * 2 >= q.length) {
+      q.splice(0, h);
+      h = 0;
+    }
+    board.head = h;
+  }
+}
+
+// Nearest known deposit for the probe in slot i, or -1. Right after a radar miss, anything on
+// the map within the probe's own radar range is known to be gone: report it instead.
+function heardDeposit(i) {
+  const known = commsBoards[probes.faction[i]].known;
+  const px = probes.x[i],
+    py = probes.y[i];
+  const W = resGridW,
+    H = resGridH;
+  const ci = cellIndexForPos(px, py);
+  const cx = ci % W,
+    cy = (ci - cx) / W;
+  const ranged = COMMS === COMMS_RANGED;
+  const maxRing = ranged ? Math.min(Math.ceil(COMMS_RANGE / RES_CELL), Math.ceil(Math.max(W, H) / 2)) : Math.ceil(Math.max(W, H) / 2);
+  const range2 = COMMS_RANGE * COMMS_RANGE;
+  const radar2 = probes.radarRange[i] * probes.radarRange[i];
+
+  for (let k = 0; k <= maxRing; k++) {
+    let best = -1;
+    let bestD2 = Infinity;
+
+    for (let oy = -k; oy <= k; oy++) {
+      const step = oy === -k || oy === k ? 1 : 2 * k; // edges of the ring only
+      const row = mod(cy + oy, H) * W;
+      for (let ox = -k; ox <= k; ox += step) {
+        const ridx = known[row + mod(cx + ox, W)];
+        if (ridx < 0) continue;
+
+        const r = resources[ridx];
+        const dx = wrapDeltaFast(r.x - px, WORLD.w);
+        const dy = wrapDeltaFast(r.y - py, WORLD.h);
+        const d2 = dx * dx + dy * dy;
+        if (d2 <= radar2 && r.amt <= 0.001) {
+          publishDeposit(i, ridx, false);
+          continue;
+        }
+        if (ranged && d2 > range2) continue;
+        if (d2 < bestD2) {
+          bestD2 = d2;
+          best = ridx;
+        }
+      }
+    }
+
+    if (best >= 0) return best;
+  }
+  return -1;
+}
+
+// Radar pings per probe-minute and harvest per probe-second, without and with comms
+function commsComparison() {
+  const s = commsStats;
+  const row = (g) => ({
+    probeSeconds: s.time[g],
+    pingsPerMin: s.time[g] > 0 ? (s.pings[g] / s.time[g]) * 60 : 0,
+    harvestPerSec: s.time[g] > 0 ? s.harvest[g] / s.time[g] : 0,
+  });
+  return { off: row(0), on: row(1), heard: s.heard };
+}
+
+function serializeComms() {
+  return {
+    stats: {
+      time: commsStats.time.slice(),
+      pings: commsStats.pings.slice(),
+      harvest: commsStats.harvest.slice(),
+      heard: commsStats.heard,
+    },
+    boards: commsBoards.map((b) => ({ known: Array.from(b.known), queue: b.queue.slice(b.head) })),
+  };
+}
+
+function restoreComms(c) {
+  resetCommsBoards();
+  commsStats = newCommsStats();
+  if (!c) return;
+  Object.assign(commsStats, c.stats);
+  for (let i = 0; i < commsBoards.length && i < c.boards.length; i++) {
+    const board = commsBoards[i];
+    board.known.set(c.boards[i].known);
+    board.queue = c.boards[i].queue.slice();
+    for (let h = 0; h < board.queue.length; h += 4) if (board.queue[h + 3] === 0) board.emptying[board.queue[h + 1]] = board.queue[h + 2];
+  }
+}
+
+// ---------------- RNG helpers ----------------
+
+// Every simulation draw goes through rngNext() (mulberry32), so the same seed
+// plus the same inputs gives the same run. State is a single uint32.
+let simSeed = 0;
+let rngState = 0;
+
+function seedRng(seed) {
+  simSeed = seed >>> 0;
+  rngState = simSeed;
+}
+
+function rngNext() {
+  rngState = (rngState + 0x6d2b79f5) >>> 0;
+  return mulberry32Out(rngState);
+}
+
+function mulberry32Out(state) {
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function rand(a, b) {
+  return a + (b - a) * rngNext();
+}
+
+// Standard normal via Box-Muller (no cached spare, so rngState is the whole state)
+function randGaussian() {
+  const u = 1 - rngNext(); // (0,1]
+  const v = rngNext();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Independent stream for visual-only randomness
+function makeRng(seed) {
+  let s = seed >>> 0;
+  return function () {
+    s = (s + 0x6d2b79f5) >>> 0;
+    return mulberry32Out(s);
+  };
+}
+
+// Numbers are used as-is, anything else is hashed (FNV-1a), so ?seed=apollo works too
+function parseSeed(v) {
+  const str = String(v).trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// ---------------- Config ----------------
+
+// Runtime-tunable parameters. Keys are what URL parameters / JSON files use; `name` is the
+// global they set (also accepted as a key, e.g. ?RADAR_RANGE=1500 or ?radarRange=1500).
+const CONFIG_SCHEMA = {
+  worldW: { name: "WORLD_W", def: 24000, min: 3 * RES_CELL, max: 400000, int: true },
+  worldH: { name: "WORLD_H", def: 24000, min: 3 * RES_CELL, max: 400000, int: true },
+  numResCommon: { name: "NUM_RES_COMMON", def: 1200, min: 0, max: 500000, int: true },
+  numResRich: { name: "NUM_RES_RICH", def: 140, min: 0, max: 500000, int: true },
+  radarRange: { name: "RADAR_RANGE", def: 1000, min: 10, max: 100000 },
+  masterTriggerDepletion: { name: "MASTER_TRIGGER_DEPLETION", def: 0.9, min: 0.01, max: 1 },
+  rallyFraction: { name: "RALLY_FRACTION", def: 0.65, min: 0.01, max: 1 },
+  replicateCost: { name: "REPLICATE_COST", def: 100, min: 1, max: 100000 },
+  costModel: { name: "COST_MODEL", def: "constant", options: COST_MODELS },
+  costFormula: { name: "COST_FORMULA", def: "", text: true },
+  costDnaExponent: { name: "COST_DNA_EXPONENT", def: 1, min: 0, max: 10 },
+  costPopScale: { name: "COST_POP_SCALE", def: 10000, min: 1, max: 1e9 },
+  costSystemGrowth: { name: "COST_SYSTEM_GROWTH", def: 1.25, min: 0.1, max: 10 },
+  childStartRes: { name: "CHILD_START_RES", def: 12, min: 0, max: 100000 },
+  hardProbeCap: { name: "HARD_PROBE_CAP", def: 1000000, min: 1, max: 50000000, int: true },
+  clusterCountMin: { name: "CLUSTER_COUNT_MIN", def: 24, min: 0, max: 10000, int: true },
+  clusterCountMax: { name: "CLUSTER_COUNT_MAX", def: 42, min: 0, max: 10000, int: true },
+  clusterSpreadMin: { name: "CLUSTER_SPREAD_MIN", def: 220, min: 0, max: 100000 },
+  clusterSpreadMax: { name: "CLUSTER_SPREAD_MAX", def: 780, min: 0, max: 100000 },
+  clusterProbCommon: { name: "CLUSTER_PROB_COMMON", def: 0.35, min: 0, max: 1 },
+  clusterProbRich: { name: "CLUSTER_PROB_RICH", def: 0.8, min: 0, max: 1 },
+  regrowCommon: { name: "REGROW_COMMON", def: 0, min: 0, max: 10000 },
+  regrowRich: { name: "REGROW_RICH", def: 0, min: 0, max: 10000 },
+  respawnDelay: { name: "RESPAWN_DELAY", def: 0, min: 0, max: 1e6 },
+  newDepositRate: { name: "NEW_DEPOSIT_RATE", def: 0, min: 0, max: 10000 },
+  galaxy: { name: "GALAXY_ON", def: 0, min: 0, max: 1, int: true },
+  galaxySystems: { name: "GALAXY_SYSTEMS", def: 24, min: 2, max: 500, int: true },
+  galaxyLinks: { name: "GALAXY_LINKS", def: 3, min: 1, max: 10, int: true },
+  warpTimePerLy: { name: "WARP_TIME_PER_LY", def: 0.4, min: 0, max: 100 },
+  colonies: { name: "COLONIES_ON", def: 0, min: 0, max: 1, int: true },
+  colonyMinPop: { name: "COLONY_MIN_POP", def: 200, min: 2, max: 1e7, int: true },
+  colonyInterval: { name: "COLONY_INTERVAL", def: 60, min: 1, max: 1e6 },
+  colonyFleet: { name: "COLONY_FLEET", def: 0.25, min: 0.01, max: 0.9 },
+  hybridAt: { name: "HYBRID_AT", def: 0, min: 0, max: 50000000, int: true },
+  hybridRadius: { name: "HYBRID_RADIUS", def: 3000, min: RES_CELL, max: 400000 },
+  hybridEfficiency: { name: "HYBRID_EFFICIENCY", def: 0.5, min: 0, max: 1 },
+  hybridDiffusion: { name: "HYBRID_DIFFUSION", def: 0.5, min: 0, max: 3 },
+  comms: { name: "COMMS", def: 0, min: 0, max: 2, int: true },
+  commsLatency: { name: "COMMS_LATENCY", def: 2, min: 0, max: 600 },
+  commsRange: { name: "COMMS_RANGE", def: 4000, min: RES_CELL, max: 400000 },
+  commsShare: { name: "COMMS_SHARE", def: 0.5, min: 0, max: 1 },
+  separation: { name: "SEPARATION", def: 0, min: 0, max: 10 },
+  alignment: { name: "ALIGNMENT", def: 0, min: 0, max: 10 },
+  cohesion: { name: "COHESION", def: 0, min: 0, max: 10 },
+  softCollisions: { name: "SOFT_COLLISIONS", def: 0, min: 0, max: 1, int: true },
+  flockRadius: { name: "FLOCK_RADIUS", def: 80, min: 2 * PROBE_RADIUS, max: RES_CELL },
+  materials: { name: "MATERIALS_ON", def: 0, min: 0, max: 1, int: true },
+  shareMetals: { name: "SHARE_METALS", def: 0.6, min: 0, max: 1 },
+  shareVolatiles: { name: "SHARE_VOLATILES", def: 0.3, min: 0, max: 1 },
+  shareRare: { name: "SHARE_RARE", def: 0.1, min: 0, max: 1 },
+  recipeMetals: { name: "RECIPE_METALS", def: 0.6, min: 0, max: 1 },
+  recipeVolatiles: { name: "RECIPE_VOLATILES", def: 0.3, min: 0, max: 1 },
+  recipeRare: { name: "RECIPE_RARE", def: 0.1, min: 0, max: 1 },
+  lifespan: { name: "LIFESPAN", def: 0, min: 0, max: 1e7 },
+  lifespanSpread: { name: "LIFESPAN_SPREAD", def: 0.25, min: 0, max: 1 },
+  failureInterval: { name: "FAILURE_INTERVAL", def: 0, min: 0, max: 1e7 },
+  failureDegrade: { name: "FAILURE_DEGRADE", def: 0.8, min: 0, max: 1 },
+  defectProb: { name: "DEFECT_PROB", def: 0, min: 0, max: 1 },
+  factions: { name: "FACTION_COUNT", def: 1, min: 1, max: 8, int: true },
+  rivalFounders: { name: "RIVAL_FOUNDERS", def: 3, min: 1, max: 10000, int: true },
+};
+
+// Per gene: <gene>Min, <gene>Max, <gene>Mutation (e.g. ?radarRangeMutation=0.03)
+for (const g of GENE_NAMES) {
+  const spec = GENES[g];
+  const NAME = `GENE_${g.replace(/[A-Z]/g, (c) => "_" + c).toUpperCase()}`;
+  CONFIG_SCHEMA[`${g}Min`] = { name: `${NAME}_MIN`, def: spec.min, min: 0, max: 1e6 };
+  CONFIG_SCHEMA[`${g}Max`] = { name: `${NAME}_MAX`, def: spec.max, min: 0, max: 1e6 };
+  CONFIG_SCHEMA[`${g}Mutation`] = { name: `${NAME}_MUTATION`, def: spec.mutation, min: 0, max: 0.9 };
+}
+
+let simConfig = null; // validated config in effect (every key present)
+
+// Fills defaults and checks types/ranges. Collects every problem into one Error.
+function validateConfig(raw) {
+  const errors = [];
+  const cfg = {};
+  const given = {};
+
+  for (const key of Object.keys(raw || {})) {
+    const k = configKey(key);
+    if (!k) errors.push(`unknown setting "${key}"`);
+    else given[k] = raw[key];
+  }
+
+  for (const k of Object.keys(CONFIG_SCHEMA)) {
+    const spec = CONFIG_SCHEMA[k];
+    if (!(k in given)) {
+      cfg[k] = spec.def;
+      continue;
+    }
+
+    if (spec.options || spec.text) {
+      const str = String(given[k]).trim();
+      if (spec.options && !spec.options.includes(str)) {
+        errors.push(`${k}: expected one of ${spec.options.join(", ")}, got ${JSON.stringify(given[k])}`);
+      } else cfg[k] = str;
+      continue;
+    }
+
+    const v = typeof given[k] === "string" && given[k].trim() !== "" ? Number(given[k]) : given[k];
+    if (typeof v !== "number" || !isFinite(v)) errors.push(`${k}: expected a number, got ${JSON.stringify(given[k])}`);
+    else if (spec.int && !Number.isInteger(v)) errors.push(`${k}: expected an integer, got ${v}`);
+    else if (v < spec.min || v > spec.max) errors.push(`${k}: ${v} is outside ${spec.min}..${spec.max}`);
+    else cfg[k] = v;
+  }
+
+  if (cfg.clusterCountMin > cfg.clusterCountMax) errors.push("clusterCountMin must be <= clusterCountMax");
+  if (cfg.clusterSpreadMin > cfg.clusterSpreadMax) errors.push("clusterSpreadMin must be <= clusterSpreadMax");
+  if (cfg.colonies && !cfg.galaxy) errors.push("colonies=1 needs galaxy=1");
+  if (cfg.shareMetals + cfg.shareVolatiles + cfg.shareRare <= 0) errors.push("material shares must not all be 0");
+  if (cfg.recipeMetals + cfg.recipeVolatiles + cfg.recipeRare <= 0) errors.push("recipe amounts must not all be 0");
+  if (cfg.costModel === "formula") {
+    if (!cfg.costFormula) errors.push('costModel "formula" needs a costFormula');
+    else {
+      try {
+        compileCostFormula(cfg.costFormula);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+  }
+  for (const g of GENE_NAMES) {
+    const lo = cfg[`${g}Min`],
+      hi = cfg[`${g}Max`];
+    if (lo > hi) errors.push(`${g}Min must be <= ${g}Max`);
+    else if (GENES[g].base) {
+      const b = GENES[g].base(cfg);
+      if (b < lo || b > hi) errors.push(`${g}: founders' value ${b} is outside ${g}Min..${g}Max (${lo}..${hi})`);
+    }
+  }
+
+  if (errors.length) throw new Error(`Invalid config: ${errors.join("; ")}`);
+  return cfg;
+}
+
+function configKey(key) {
+  if (CONFIG_SCHEMA[key]) return key;
+  for (const k of Object.keys(CONFIG_SCHEMA)) if (CONFIG_SCHEMA[k].name === key) return k;
+  return null;
+}
+
+// Validates, then sets the tunable globals and everything derived from them.
+// Neighbor lists depend on RADAR_RANGE and the world size; spawnSystem/restoreSim rebuild them.
+function applyConfig(raw) {
+  const cfg = validateConfig(raw);
+  simConfig = cfg;
+
+  WORLD = { w: cfg.worldW, h: cfg.worldH };
+  NUM_RES_COMMON = cfg.numResCommon;
+  NUM_RES_RICH = cfg.numResRich;
+  RADAR_RANGE = cfg.radarRange;
+  MASTER_TRIGGER_DEPLETION = cfg.masterTriggerDepletion;
+  RALLY_FRACTION = cfg.rallyFraction;
+  REPLICATE_COST = cfg.replicateCost;
+  COST_MODEL = cfg.costModel;
+  COST_FORMULA = cfg.costFormula;
+  COST_DNA_EXPONENT = cfg.costDnaExponent;
+  COST_POP_SCALE = cfg.costPopScale;
+  COST_SYSTEM_GROWTH = cfg.costSystemGrowth;
+  costFormulaFn = COST_MODEL === "formula" ? compileCostFormula(COST_FORMULA) : null;
+  CHILD_START_RES = cfg.childStartRes;
+  HARD_PROBE_CAP = cfg.hardProbeCap;
+  CLUSTER_COUNT_MIN = cfg.clusterCountMin;
+  CLUSTER_COUNT_MAX = cfg.clusterCountMax;
+  CLUSTER_SPREAD_MIN = cfg.clusterSpreadMin;
+  CLUSTER_SPREAD_MAX = cfg.clusterSpreadMax;
+  CLUSTER_PROB_COMMON = cfg.clusterProbCommon;
+  CLUSTER_PROB_RICH = cfg.clusterProbRich;
+  REGROW_COMMON = cfg.regrowCommon;
+  REGROW_RICH = cfg.regrowRich;
+  RESPAWN_DELAY = cfg.respawnDelay;
+  NEW_DEPOSIT_RATE = cfg.newDepositRate;
+  SEPARATION = cfg.separation;
+  ALIGNMENT = cfg.alignment;
+  COHESION = cfg.cohesion;
+  SOFT_COLLISIONS = cfg.softCollisions;
+  FLOCK_RADIUS = cfg.flockRadius;
+  probeCellHead = null; // grid size depends on WORLD and FLOCK_RADIUS
+  COMMS = cfg.comms;
+  COMMS_LATENCY = cfg.commsLatency;
+  COMMS_RANGE = cfg.commsRange;
+  COMMS_SHARE = cfg.commsShare;
+  GALAXY_ON = cfg.galaxy;
+  GALAXY_SYSTEMS = cfg.galaxySystems;
+  GALAXY_LINKS = cfg.galaxyLinks;
+  WARP_TIME_PER_LY = cfg.warpTimePerLy;
+  COLONIES_ON = cfg.colonies;
+  COLONY_MIN_POP = cfg.colonyMinPop;
+  COLONY_INTERVAL = cfg.colonyInterval;
+  COLONY_FLEET = cfg.colonyFleet;
+  HYBRID_AT = cfg.hybridAt;
+  HYBRID_RADIUS = cfg.hybridRadius;
+  HYBRID_EFFICIENCY = cfg.hybridEfficiency;
+  HYBRID_DIFFUSION = cfg.hybridDiffusion;
+  MATERIALS_ON = cfg.materials;
+  MATERIAL_SHARE = normalized([cfg.shareMetals, cfg.shareVolatiles, cfg.shareRare]);
+  RECIPE = normalized([cfg.recipeMetals, cfg.recipeVolatiles, cfg.recipeRare]);
+  LIFESPAN = cfg.lifespan;
+  LIFESPAN_SPREAD = cfg.lifespanSpread;
+  FAILURE_INTERVAL = cfg.failureInterval;
+  FAILURE_DEGRADE = cfg.failureDegrade;
+  DEFECT_PROB = cfg.defectProb;
+  for (const g of GENE_NAMES) {
+    geneBounds[g] = { min: cfg[`${g}Min`], max: cfg[`${g}Max`], mutation: cfg[`${g}Mutation`] };
+  }
+  FACTION_COUNT = cfg.factions;
+  RIVAL_FOUNDERS = cfg.rivalFounders;
+
+  return cfg;
+}
+
+// "key=value" strings or [key, value] pairs (URL query, --set) -> raw config object
+function configFromPairs(pairs) {
+  const raw = {};
+  for (const pair of pairs) {
+    const [k, v] = typeof pair === "string" ? splitOnce(pair, "=") : pair;
+    raw[k.trim()] = v;
+  }
+  return raw;
+}
+
+function splitOnce(str, sep) {
+  const i = str.indexOf(sep);
+  return i < 0 ? [str, ""] : [str.slice(0, i), str.slice(i + 1)];
+}
+
+// ---------------- Save / Load ----------------
+
+// Snapshots are plain JSON. Probes and resources are stored as rows (field order in
+// PROBE_FIELDS / RESOURCE_FIELDS) to keep 10k+ probe saves small enough for localStorage.
+// Floats are kept at full precision so a restored run continues step-for-step.
+const SNAPSHOT_VERSION = 1;
+
+const PROBE_FIELDS = [
+  "id",
+  "isPlayer",
+  "x",
+  "y",
+  "vx",
+  "vy",
+  "heading",
+  "resources",
+  "maxSpeed",
+  "accel",
+  "harvest",
+  "target",
+  "radarCooldown",
+  "wanderT",
+  "replCooldown",
+  "hasWaypoint",
+  "sacrificing",
+  "sacrificeT",
+  "dead",
+  "faction",
+  "age",
+  "lifespan",
+  "failT",
+  "defective",
+  "radarRange",
+  "radarInterval",
+  "replThreshold",
+  "replInterval",
+  "childRes",
+  "metals",
+  "volatiles",
+  "rare",
+  "comms",
+  "heard",
+];
+
+// gridIndex keeps each cell's order, so radar/harvest tie-breaks match after a load
+const RESOURCE_FIELDS = ["id", "kind", "x", "y", "amt", "maxAmt", "gridIndex", "mat"];
+
+function serializeSim() {
+  return snapshotSim(probeRows, serializeSystemState(), serializeLineage());
+}
+
+// serializeSim's snapshot with the probe stores, resource field and lineage in the given form
+// (rewind points keep them packed, see Rewind)
+function snapshotSim(storeOut, sys, lineageOut) {
+  return {
+    version: SNAPSHOT_VERSION,
+    seed: simSeed,
+    rngState,
+    nextProbeId: _probeId,
+    tick: simTick,
+    config: simConfig,
+    stats: Object.assign({}, simStats),
+    world: { w: WORLD.w, h: WORLD.h },
+    systemIndex,
+    systemInitialTotal: sys.systemInitialTotal,
+    systemRemainingTotal: sys.systemRemainingTotal,
+    regen: sys.regen,
+    galaxy: galaxy ? serializeGalaxy(storeOut) : null,
+    comms: COMMS ? serializeComms() : null,
+    factions: factions.map((f) => ({
+      id: f.id,
+      start: { x: f.start.x, y: f.start.y },
+      dnaScale: Object.assign({}, f.dnaScale),
+      master: serializeMaster(f.master),
+    })),
+    focusId,
+    lineage: lineageOut,
+    probeFields: PROBE_FIELDS,
+    probes: storeOut(probes),
+    hybrid: hybridField ? storeOut(hybridField) : null,
+    resourceFields: RESOURCE_FIELDS,
+    resources: sys.resources,
+    resourceActive: sys.resourceActive,
+  };
+}
+
+// The current system's resource field, in snapshot form (serializeSim's keys of the same names).
+// Also what the galaxy keeps for systems left behind.
+function serializeSystemState() {
+  const resourceRows = new Array(resources.length);
+  for (let i = 0; i < resources.length; i++) {
+    const r = resources[i];
+    resourceRows[i] = [r.id, r.kind, r.x, r.y, r.amt, r.maxAmt, r.active ? r._gridIndex : -1, r.mat];
+  }
+
+  return {
+    systemInitialTotal,
+    systemRemainingTotal,
+    regen: serializeRegen(),
+    resources: resourceRows,
+    resourceActive: resourceActive.slice(),
+  };
+}
+
+function serializeRegen() {
+  return {
+    inflow: systemInflowTotal,
+    respawnQueue: respawnQueue.slice(respawnHead),
+    clusters: systemClusters,
+    depositAcc,
+  };
+}
+
+// Rebuilds the resource grid, resourceActive and neighbor lists from serializeSystemState()'s rows
+function restoreSystemState(state) {
+  systemInitialTotal = state.systemInitialTotal;
+  systemRemainingTotal = state.systemRemainingTotal;
+
+  const regen = state.regen || { inflow: 0, respawnQueue: [], clusters: [], depositAcc: 0 };
+  systemInflowTotal = regen.inflow;
+  respawnQueue = regen.respawnQueue.map((e) => e.slice());
+  respawnHead = 0;
+  systemClusters = regen.clusters.map((c) => Object.assign({}, c));
+  depositAcc = regen.depositAcc;
+
+  resources = new Array(state.resources.length);
+  resourceActive = [];
+  initResGrid();
+
+  for (let i = 0; i < state.resources.length; i++) {
+    const row = state.resources[i];
+    const r = newResource(row[0], row[1], row[2], row[3], row[5], row[7]);
+    r.amt = row[4];
+    r._arrIndex = i;
+    resources[i] = r;
+  }
+
+  for (let i = 0; i < state.resourceActive.length; i++) {
+    const idx = state.resourceActive[i];
+    const r = resources[idx];
+    r.active = true;
+    r.activeIndex = i;
+    resourceActive.push(idx);
+
+    const ci = cellIndexForPos(r.x, r.y);
+    r._gridCell = ci;
+    r._gridIndex = state.resources[idx][6];
+    resGrid[ci][r._gridIndex] = idx;
+  }
+
+  buildNeighborLists();
+}
+
+// Stored fields of systems left behind are never modified (travelTo replaces them), so
+// snapshots share them instead of copying. Colonists go out through storeOut (probeRows).
+function serializeGalaxy(storeOut) {
+  return {
+    systems: galaxy.systems.map((sys) => Object.assign({}, sys)),
+    links: galaxy.links.map((l) => l.slice()),
+    current: galaxy.current,
+    destination: galaxy.destination,
+    route: galaxy.route.map((r) => r.slice()),
+    colonies: galaxy.colonies.map((c) => ({
+      system: c.system,
+      faction: c.faction,
+      members: storeOut(c.members),
+    })),
+  };
+}
+
+// Colonies come back in restoreSim, with the other probe stores
+function restoreGalaxy(g) {
+  return {
+    systems: g.systems.map((sys) => Object.assign({}, sys)),
+    links: g.links.map((l) => l.slice()),
+    current: g.current,
+    destination: g.destination,
+    route: g.route.map((r) => r.slice()),
+    colonies: [],
+  };
+}
+
+// One plain array per lineage column, for ids 0 .. nextProbeId-1
+function serializeLineage() {
+  const out = {};
+  const n = lineageCount();
+  for (const k of Object.keys(LINEAGE_COLUMNS)) out[k] = Array.from(lineage[k].subarray(0, n));
+  return out;
+}
+
+// Saves from before lineage tracking: every living probe becomes a founder born at the save
+function restoreLineage(snap) {
+  const n = snap.nextProbeId;
+  resetLineage(n);
+  if (snap.lineage) {
+    for (const k of Object.keys(LINEAGE_COLUMNS)) lineage[k].set(snap.lineage[k]);
+    return;
+  }
+
+  lineage.parent.fill(-1, 0, n);
+  lineage.system.fill(snap.systemIndex, 0, n);
+  lineage.born.fill(snap.tick || 0, 0, n);
+  lineage.died.fill(snap.tick || 0, 0, n);
+  for (let i = 0; i < snap.probes.length; i++) {
+    const row = snap.probes[i];
+    lineage.died[row[0]] = -1;
+    lineage.faction[row[0]] = row[19] || 0;
+  }
+}
+
+function serializeMaster(m) {
+  const wm = m.warpMachine;
+  return {
+    state: m.state,
+    waypoint: m.waypoint ? { x: m.waypoint.x, y: m.waypoint.y } : null,
+    t: m.t,
+    sacrificed: m.sacrificed,
+    toSacrifice: m.toSacrifice,
+    warpMachine: wm ? { x: wm.x, y: wm.y, spin: wm.spin, mode: wm.mode, pulse: wm.pulse } : null,
+    nextColonyTick: m.nextColonyTick,
+  };
+}
+
+// Master state from a snapshot. Probes heading to the waypoint only carry PF_WAYPOINT
+// (probeWaypoint), so there's nothing to hook up.
+function restoreMaster(m) {
+  let warpMachine = null;
+  if (m.warpMachine) {
+    // Not via the constructor: it draws a random spin
+    warpMachine = Object.assign(Object.create(WarpMachine.prototype), m.warpMachine);
+  }
+  return {
+    state: m.state,
+    waypoint: m.waypoint ? { x: m.waypoint.x, y: m.waypoint.y } : null,
+    t: m.t,
+    sacrificed: m.sacrificed,
+    toSacrifice: m.toSacrifice,
+    warpMachine,
+    nextColonyTick: m.nextColonyTick || 0,
+  };
+}
+
+// Replaces the whole simulation with a snapshot from serializeSim().
+function restoreSim(snap) {
+  restoreSnapshot(snap, probeStoreFromRows, restoreSystemState, restoreLineage);
+}
+
+// restoreSim for snapshotSim's forms: storeIn makes a probe store, restoreSys and restoreLin
+// take the whole snapshot
+function restoreSnapshot(snap, storeIn, restoreSys, restoreLin) {
+  if (!snap || snap.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snap ? snap.version : snap}`);
+  }
+  applyConfig(snap.config || {});
+  if (snap.world.w !== WORLD.w || snap.world.h !== WORLD.h) {
+    throw new Error(`Snapshot world ${snap.world.w}x${snap.world.h} does not match ${WORLD.w}x${WORLD.h}`);
+  }
+
+  simSeed = snap.seed >>> 0;
+  rngState = snap.rngState >>> 0;
+  _probeId = snap.nextProbeId;
+  simTick = snap.tick || 0;
+  simStartOpts = null;
+  replayRec = null;
+  replayPlay = null;
+  rewind = null;
+  simStats = Object.assign(newSimStats(), snap.stats);
+
+  systemIndex = snap.systemIndex;
+  galaxy = snap.galaxy ? restoreGalaxy(snap.galaxy) : null;
+
+  // Factions (saves from before factions have a single top-level master)
+  const savedFactions = snap.factions || [{ id: 0, start: { x: WORLD.w * 0.5, y: WORLD.h * 0.5 }, dnaScale: null, master: snap.master }];
+  factions = savedFactions.map((sf) => ({
+    id: sf.id,
+    color: FACTION_COLORS[sf.id % FACTION_COLORS.length],
+    start: { x: sf.start.x, y: sf.start.y },
+    dnaScale: sf.dnaScale ? Object.assign({}, sf.dnaScale) : { maxSpeed: 1, accel: 1, harvest: 1 },
+    master: restoreMaster(sf.master),
+    count: 0,
+  }));
+  master = factions[0].master;
+
+  // Resources + grid
+  restoreSys(snap);
+
+  // Probes
+  restoreLin(snap);
+  resetProbeSlots(snap.nextProbeId);
+  probes = storeIn(snap.probes);
+  for (let i = 0; i < probes.n; i++) setProbeSlot(probes.id[i], i);
+  if (probeSlot(PLAYER_ID) < 0) throw new Error("Snapshot has no player probe");
+  hybridField = HYBRID_AT > 0 ? (snap.hybrid ? storeIn(snap.hybrid) : newProbeStore()) : null;
+  recountFactions();
+  restoreComms(snap.comms);
+  if (galaxy && snap.galaxy.colonies) {
+    galaxy.colonies = snap.galaxy.colonies.map((c) => ({
+      system: c.system,
+      faction: c.faction,
+      members: storeIn(c.members),
+    }));
+  }
+
+  focusId = probeSlot(snap.focusId) >= 0 ? snap.focusId : PLAYER_ID;
+
+  resetTelemetry();
+}
+
+// A store's probes as PROBE_FIELDS rows
+function probeRows(s) {
+  const rows = new Array(s.n);
+  for (let i = 0; i < s.n; i++) rows[i] = probeRow(s, i);
+  return rows;
+}
+
+// One PROBE_FIELDS row for slot i of store s
+function probeRow(s, i) {
+  const flags = s.flags[i];
+  const cargo = i * CARGO_STRIDE;
+  return [
+    s.id[i],
+    flags & PF_PLAYER ? 1 : 0,
+    s.x[i],
+    s.y[i],
+    s.vx[i],
+    s.vy[i],
+    s.heading[i],
+    s.resources[i],
+    s.maxSpeed[i],
+    s.accel[i],
+    s.harvest[i],
+    s.target[i],
+    s.radarCooldown[i],
+    s.wanderT[i],
+    s.replCooldown[i],
+    flags & PF_WAYPOINT && factions[s.faction[i]].master.waypoint ? 1 : 0,
+    flags & PF_SACRIFICING ? 1 : 0,
+    s.sacrificeT[i],
+    flags & PF_DEAD ? 1 : 0,
+    s.faction[i],
+    s.age[i],
+    s.lifespan[i],
+    s.failT[i],
+    flags & PF_DEFECTIVE ? 1 : 0,
+    s.radarRange[i],
+    s.radarInterval[i],
+    s.replThreshold[i],
+    s.replInterval[i],
+    s.childRes[i],
+    MATERIALS_ON ? s.cargo[cargo] : 0,
+    MATERIALS_ON ? s.cargo[cargo + 1] : 0,
+    MATERIALS_ON ? s.cargo[cargo + 2] : 0,
+    flags & PF_COMMS ? 1 : 0,
+    flags & PF_HEARD ? 1 : 0,
+  ];
+}
+
+// A store holding PROBE_FIELDS rows, in order (colonies)
+function probeStoreFromRows(rows) {
+  const s = newProbeStore(rows.length);
+  for (let i = 0; i < rows.length; i++) probeFromRow(s, rows[i]);
+  return s;
+}
+
+// Appends a row to store s without spawnProbe (which would draw from the RNG)
+function probeFromRow(s, row) {
+  probeStoreEnsure(s, s.n + 1);
+  const i = s.n++;
+  s.id[i] = row[0];
+  s.x[i] = row[2];
+  s.y[i] = row[3];
+  s.vx[i] = row[4];
+  s.vy[i] = row[5];
+  s.heading[i] = row[6];
+  s.resources[i] = row[7];
+  const cargo = i * CARGO_STRIDE;
+  for (let m = 0; m < CARGO_STRIDE; m++) s.cargo[cargo + m] = MATERIALS_ON ? row[29 + m] || 0 : 0;
+  s.maxSpeed[i] = row[8];
+  s.accel[i] = row[9];
+  s.harvest[i] = row[10];
+  // Older saves predate these genes: founders' values
+  s.radarRange[i] = row[24] != null ? row[24] : GENES.radarRange.base(simConfig);
+  s.radarInterval[i] = row[25] != null ? row[25] : GENES.radarInterval.base(simConfig);
+  s.replThreshold[i] = row[26] != null ? row[26] : GENES.replThreshold.base(simConfig);
+  s.replInterval[i] = row[27] != null ? row[27] : GENES.replInterval.base(simConfig);
+  s.childRes[i] = row[28] != null ? row[28] : GENES.childRes.base(simConfig);
+  s.target[i] = row[11];
+  s.radarCooldown[i] = row[12];
+  s.wanderT[i] = row[13];
+  s.replCooldown[i] = row[14];
+  s.faction[i] = row[19] || 0;
+  s.sacrificeT[i] = row[17];
+  s.age[i] = row[20] || 0;
+  s.lifespan[i] = row[21] || 0;
+  s.failT[i] = row[22] || 0;
+  s.flags[i] =
+    (row[1] === 1 ? PF_PLAYER : 0) |
+    (row[15] === 1 ? PF_WAYPOINT : 0) |
+    (row[16] === 1 ? PF_SACRIFICING : 0) |
+    (row[18] === 1 ? PF_DEAD : 0) |
+    (row[23] === 1 ? PF_DEFECTIVE : 0) |
+    (row[32] === 1 ? PF_COMMS : 0) |
+    (row[33] === 1 ? PF_HEARD : 0);
+  return i;
+}
+
+// ---------------- Replay ----------------
+
+// A replay is the run's starting point plus the player's input for every fixed step.
+// Input is packed per step (thrust axes as -1/0/1, boost, replicate) and run-length
+// encoded as [code, steps] pairs; focus changes are kept as [tick, probeId] and galaxy
+// destination picks as [tick, systemId].
+// Playing it back re-drives simStep at FIXED_DT and reproduces the run exactly.
+const REPLAY_VERSION = 1;
+
+let replayRec = null; // recording: { start, startTick, inputs, focus, destinations }
+let replayPlay = null; // playback: { replay, step, run, runLeft, focusIdx, destIdx }
+
+const NO_INPUT = { ax: 0, ay: 0, boost: false, replicate: false };
+
+function encodeInput(inp) {
+  const ax = Math.sign(inp.ax) + 1;
+  const ay = Math.sign(inp.ay) + 1;
+  return ax + ay * 3 + (inp.boost ? 9 : 0) + (inp.replicate ? 18 : 0);
+}
+
+function decodeInputInto(code, inp) {
+  inp.ax = (code % 3) - 1;
+  inp.ay = (((code / 3) | 0) % 3) - 1;
+  inp.boost = code % 18 >= 9;
+  inp.replicate = code >= 18;
+}
+
+// Start recording from the current state. A fresh run is stored as its seed, anything
+// else (a loaded save, a run already in progress) as a full snapshot.
+function startRecording() {
+  replayRec = {
+    start: simStartOpts && simTick === 0 ? simStartOpts : null,
+    snapshot: simStartOpts && simTick === 0 ? null : serializeSim(),
+    startTick: simTick,
+    inputs: [],
+    focus: [[simTick, focusId]],
+    destinations: [],
+  };
+}
+
+function stopRecording() {
+  replayRec = null;
+}
+
+function replayRecordInput() {
+  const code = encodeInput(playerInput);
+  const runs = replayRec.inputs;
+  const last = runs.length - 1;
+  if (last >= 0 && runs[last][0] === code) runs[last][1]++;
+  else runs.push([code, 1]);
+}
+
+function exportReplay() {
+  if (!replayRec) return null;
+
+  let steps = 0;
+  for (let i = 0; i < replayRec.inputs.length; i++) steps += replayRec.inputs[i][1];
+
+  return {
+    type: "vnp-replay",
+    version: REPLAY_VERSION,
+    seed: replayRec.start ? replayRec.start.seed : replayRec.snapshot.seed,
+    start: replayRec.start,
+    snapshot: replayRec.snapshot,
+    steps,
+    inputs: replayRec.inputs.map((r) => r.slice()),
+    focus: replayRec.focus.map((f) => f.slice()),
+    destinations: replayRec.destinations.map((d) => d.slice()),
+  };
+}
+
+// Resets the sim to the replay's starting point; each simStep then consumes one recorded step.
+function beginPlayback(replay) {
+  if (!replay || replay.type !== "vnp-replay" || replay.version !== REPLAY_VERSION) {
+    throw new Error("Not a replay file (or unsupported version)");
+  }
+
+  if (replay.snapshot) restoreSim(replay.snapshot);
+  else initSim({ seed: replay.start.seed, founders: replay.start.founders, config: replay.start.config });
+
+  replayPlay = {
+    replay,
+    step: 0,
+    run: 0,
+    runLeft: replay.inputs.length ? replay.inputs[0][1] : 0,
+    focusIdx: 0,
+    destIdx: 0,
+  };
+  replayApplyFocus();
+}
+
+function endPlayback() {
+  replayPlay = null;
+}
+
+function replayFinished() {
+  return !!replayPlay && replayPlay.step >= replayPlay.replay.steps;
+}
+
+function replayApplyInput() {
+  const rp = replayPlay;
+  const runs = rp.replay.inputs;
+
+  // Past the end: coast with no input
+  if (rp.step >= rp.replay.steps) {
+    decodeInputInto(encodeInput(NO_INPUT), playerInput);
+    return;
+  }
+
+  while (rp.runLeft <= 0) {
+    rp.run++;
+    rp.runLeft = runs[rp.run][1];
+  }
+
+  decodeInputInto(runs[rp.run][0], playerInput);
+  rp.runLeft--;
+  rp.step++;
+
+  replayApplyFocus();
+  replayApplyDestinations();
+}
+
+// Focus events are stamped with the tick they happened before
+function replayApplyFocus() {
+  const rp = replayPlay;
+  const focus = rp.replay.focus;
+  while (rp.focusIdx < focus.length && focus[rp.focusIdx][0] <= simTick) {
+    const id = focus[rp.focusIdx][1];
+    focusId = probeSlot(id) >= 0 ? id : PLAYER_ID;
+    rp.focusIdx++;
+  }
+}
+
+// Same stamping as focus events (older replays have none)
+function replayApplyDestinations() {
+  const rp = replayPlay;
+  const dests = rp.replay.destinations || [];
+  while (rp.destIdx < dests.length && dests[rp.destIdx][0] <= simTick) {
+    if (galaxy) galaxy.destination = dests[rp.destIdx][1];
+    rp.destIdx++;
+  }
+}
+
+// ---------------- Rewind ----------------
+
+// For the renderer: every REWIND_INTERVAL sim-seconds of a live run a rewind point is captured,
+// and rewindTo goes back to any of them. Off until startRewind (headless.js only starts it for
+// --check-rewind); a new run, a load or a replay empties it. Points after the one rewound to can still be
+// visited until the run has moved on to the next capture, which drops them: that future isn't
+// happening any more.
+//
+// A point is snapshotSim's state with the heavy parts packed instead of serialized: probe stores
+// (the swarm, the hybrid field, colonies) as copies of their columns, the resource field as its
+// deposits' amounts and grid slots, lineage as its `died` column (the other columns only ever
+// get new ids appended, so points share them). Columns are copied at their own type, so a
+// rewound run retraces the original exactly. The copies are all a point's memory that grows with
+// the swarm, and what REWIND_MEMORY bounds: before a capture the oldest points go until the new
+// one fits, and a point that can't fit on its own isn't taken. A capture slower than
+// REWIND_CAPTURE_MS doubles the interval (a faster one halves it back), so huge swarms stall
+// the thread stepping them less often.
+const REWIND_INTERVAL = 10; // sim-seconds between points
+const REWIND_STEPS = REWIND_INTERVAL * STEPS_PER_SECOND;
+const REWIND_MEMORY = 64 * 1024 * 1024; // bytes of packed columns kept
+const REWIND_CAPTURE_MS = 10; // a frame's stepping budget (vnp.js FRAME_STEP_MS)
+
+// { points: [{ tick, state, bytes, samples, transitions, last }], bytes, every, telemetry }:
+// `every` is the steps between captures; samples and transitions count telemetry's entries at
+// the point, in `telemetry` (the longest history seen)
+let rewind = null;
+
+function startRewind() {
+  rewind = { points: [], bytes: 0, every: REWIND_STEPS, telemetry };
+  captureRewindPoint();
+}
+
+function captureRewindPoint() {
+  const rw = rewind;
+  while (rw.points.length > 0 && rw.points[rw.points.length - 1].tick >= simTick) rw.bytes -= rw.points.pop().bytes;
+
+  const bytes = rewindPointBytes();
+  if (bytes > REWIND_MEMORY) return;
+  while (rw.bytes + bytes > REWIND_MEMORY) rw.bytes -= rw.points.shift().bytes;
+
+  const t0 = performance.now();
+  rw.points.push({
+    tick: simTick,
+    state: snapshotSim(packProbes, packSystemState(), packLineage()),
+    bytes,
+    samples: telemetry.samples.length,
+    transitions: telemetry.transitions.length,
+    last: Object.assign({}, telemetry.last),
+  });
+  rw.bytes += bytes;
+  rw.telemetry = telemetry;
+
+  const ms = performance.now() - t0;
+  if (ms > REWIND_CAPTURE_MS) rw.every *= 2;
+  else if (ms < REWIND_CAPTURE_MS / 4 && rw.every > REWIND_STEPS) rw.every /= 2;
+}
+
+// Back to point k (restoreSnapshot rebuilds resources, grid, factions and focus), with telemetry
+// cut back to what it was then. The buffer stays; recording is up to the caller, as after a load.
+function rewindTo(k) {
+  const rw = rewind;
+  const p = rw && rw.points[k];
+  if (!p) throw new Error(`No rewind point ${k}`);
+
+  restoreSnapshot(p.state, unpackProbes, unpackSystemState, unpackLineage);
+  rewind = rw;
+  telemetry = {
+    samples: rw.telemetry.samples.slice(0, p.samples),
+    transitions: rw.telemetry.transitions.slice(0, p.transitions),
+    last: Object.assign({}, p.last),
+  };
+}
+
+// What the renderer's timeline needs: the points' ticks, the memory they take and the
+// sim-seconds between captures
+function rewindTimeline() {
+  return { ticks: rewind.points.map((p) => p.tick), bytes: rewind.bytes, interval: rewind.every / STEPS_PER_SECOND };
+}
+
+// Cargo is all zeros without materials, and isn't kept
+function packedKeys() {
+  return MATERIALS_ON ? PROBE_KEYS : PROBE_KEYS.filter((k) => k !== "cargo");
+}
+
+function packProbes(s) {
+  const out = { n: s.n };
+  for (const k of packedKeys()) out[k] = s[k].slice(0, s.n * probeStride(k));
+  return out;
+}
+
+function unpackProbes(p) {
+  const s = newProbeStore(p.n);
+  for (const k of packedKeys()) s[k].set(p[k]);
+  s.n = p.n;
+  return s;
+}
+
+// serializeSystemState with the deposits themselves shared (only amt and the grid change once
+// one exists) and amounts and grid slots copied
+function packSystemState() {
+  const n = resources.length;
+  const amt = new Float64Array(n);
+  const gridIndex = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    const r = resources[i];
+    amt[i] = r.amt;
+    gridIndex[i] = r.active ? r._gridIndex : -1;
+  }
+  return {
+    systemInitialTotal,
+    systemRemainingTotal,
+    regen: serializeRegen(),
+    resources: { deposits: resources.slice(), amt, gridIndex },
+    resourceActive: Int32Array.from(resourceActive),
+  };
+}
+
+function unpackSystemState(snap) {
+  const { deposits, amt, gridIndex } = snap.resources;
+  const rows = new Array(deposits.length);
+  for (let i = 0; i < deposits.length; i++) {
+    const r = deposits[i];
+    rows[i] = [r.id, r.kind, r.x, r.y, amt[i], r.maxAmt, gridIndex[i], r.mat];
+  }
+  restoreSystemState(Object.assign({}, snap, { resources: rows, resourceActive: Array.from(snap.resourceActive) }));
+}
+
+// Ids past a point's n are written after it (or into fresh columns after a rewind), so its
+// shared columns still hold its rows
+function packLineage() {
+  const n = lineageCount();
+  const out = { n };
+  for (const k of Object.keys(LINEAGE_COLUMNS)) out[k] = k === "died" ? lineage.died.slice(0, n) : lineage[k];
+  return out;
+}
+
+function unpackLineage(snap) {
+  const p = snap.lineage;
+  resetLineage(p.n);
+  for (const k of Object.keys(LINEAGE_COLUMNS)) lineage[k].set(p[k].subarray(0, p.n));
+}
+
+// What packing the current state takes (its copies; the rest of a point is small)
+function rewindPointBytes() {
+  let perProbe = 0;
+  for (const k of packedKeys()) perProbe += PROBE_COLUMNS[k].BYTES_PER_ELEMENT * probeStride(k);
+  const stored = galaxyPopulation();
+  const perDeposit = 8 + 8 + 4; // shared reference, amt, grid slot
+  return stored * perProbe + resources.length * perDeposit + resourceActive.length * 4 + lineageCount() * 4;
+}
+
+// ---------------- Clock ----------------
+
+// Real-time pacing for the runners that draw (vnp.js without a worker, simworker.js; headless.js
+// steps flat out). Sim time runs at clock.speed x real time, or, fast-forwarding, as fast as
+// the step budget allows until a faction's Master AI changes state or the population reaches a
+// target. Not simulation state: snapshots and replays never see it.
+const SIM_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, 32, 64];
+const CLOCK_RATE_WINDOW = 1; // real seconds the achieved speed is measured over
+const FAST_FORWARD_GROWTH = 2; // fast-forward stops once the population has grown this much
+const FAST_FORWARD_MAX_S = 1800; // ... or after this many sim-seconds (a lone player never grows)
+
+function newClock() {
+  return {
+    speed: 1,
+    acc: 0, // sim-seconds owed
+    ffwd: null, // { states, pop, until } while fast-forwarding
+    stopped: "", // why the last fast-forward ended, until the runner has shown it
+    rate: 0, // achieved sim-seconds per real second over the last window
+    dropping: false, // whether the last window had to let owed steps go
+    win: { real: 0, sim: 0, dropped: 0 },
+  };
+}
+
+// Steps for realDt seconds of real time, spending at most budgetMs of wall time. More than
+// maxBacklog real seconds of owed sim time is let go (and reported as dropping). beforeStep
+// runs before every step (the player's input).
+function runClock(clock, realDt, budgetMs, maxBacklog, beforeStep) {
+  const t0 = performance.now();
+  let steps = 0;
+  let dropped = 0;
+
+  if (clock.ffwd) {
+    clock.acc = 0;
+    while (performance.now() - t0 < budgetMs) {
+      if (beforeStep) beforeStep();
+      simStep(FIXED_DT);
+      steps++;
+      clock.stopped = fastForwardStop(clock.ffwd);
+      if (clock.stopped) {
+        clock.ffwd = null;
+        break;
+      }
+    }
+  } else {
+    clock.acc += realDt * clock.speed;
+    while (clock.acc >= FIXED_DT && performance.now() - t0 < budgetMs) {
+      if (beforeStep) beforeStep();
+      simStep(FIXED_DT);
+      clock.acc -= FIXED_DT;
+      steps++;
+    }
+    const cap = Math.max(FIXED_DT, maxBacklog * clock.speed);
+    if (clock.acc > cap) {
+      dropped = clock.acc - cap;
+      clock.acc = cap;
+    }
+  }
+
+  const w = clock.win;
+  w.real += realDt;
+  w.sim += steps * FIXED_DT;
+  w.dropped += dropped;
+  if (w.real >= CLOCK_RATE_WINDOW) {
+    clock.rate = w.sim / w.real;
+    clock.dropping = w.dropped > 0;
+    w.real = w.sim = w.dropped = 0;
+  }
+}
+
+// Fast-forward from here until the next Master AI state change (any faction's), growth or timeout
+function startFastForward(clock) {
+  clock.ffwd = {
+    states: factions.map((f) => f.master.state),
+    pop: Math.min(HARD_PROBE_CAP, Math.ceil(localPopulation() * FAST_FORWARD_GROWTH)),
+    until: simTick + FAST_FORWARD_MAX_S * STEPS_PER_SECOND,
+  };
+  clock.stopped = "";
+  clock.acc = 0;
+}
+
+// Why a fast-forward ends now, or "" to keep going
+function fastForwardStop(ff) {
+  for (let i = 0; i < factions.length; i++) {
+    const state = factions[i].master.state;
+    if (state !== ff.states[i]) return `${i === 0 ? "Master AI" : `Faction ${i}`}: ${state}`;
+  }
+  if (localPopulation() >= ff.pop) return `${localPopulation()} probes`;
+  if (replayFinished()) return "end of replay";
+  if (simTick >= ff.until) return `nothing happened in ${FAST_FORWARD_MAX_S / 60} sim-minutes`;
+  return "";
+}
+
+// ---------------- Telemetry ----------------
+
+// One sample per sim-second: population, births/sacrifices/deaths/failures/defects since the
+// previous sample, resources left (and the system's inflow so far, see Resource regeneration),
+// mean replication cost and per-trait DNA mean/variance over the AI probes (the player's DNA is fixed).
+// Master AI state changes are logged separately. Restarted by initSim/restoreSim.
+const TELEMETRY_STEPS = STEPS_PER_SECOND;
+const DNA_TRAITS = GENE_NAMES;
+
+let telemetry = null; // { samples, transitions, last: simStats at the previous sample }
+
+function resetTelemetry() {
+  telemetry = {
+    samples: [],
+    transitions: [],
+    last: Object.assign({}, simStats),
+  };
+}
+
+function telemetrySample() {
+  const dna = {};
+  let n = 0;
+  const sum = new Float64Array(DNA_TRAITS.length);
+  const sumSq = new Float64Array(DNA_TRAITS.length);
+  let costSum = 0;
+
+  for (const S of localStores()) {
+    const genes = DNA_TRAITS.map((g) => S[g]);
+    for (let i = 0; i < S.n; i++) {
+      if (S.flags[i] & (PF_PLAYER | PF_DEAD)) continue;
+      n++;
+      costSum += replicateCost(i, S);
+      for (let k = 0; k < genes.length; k++) {
+        const v = genes[k][i];
+        sum[k] += v;
+        sumSq[k] += v * v;
+      }
+    }
+  }
+
+  for (let k = 0; k < DNA_TRAITS.length; k++) {
+    const mean = n > 0 ? sum[k] / n : 0;
+    const variance = n > 0 ? Math.max(0, sumSq[k] / n - mean * mean) : 0;
+    dna[DNA_TRAITS[k]] = { mean, variance };
+  }
+
+  telemetry.samples.push({
+    t: simTime(),
+    system: systemIndex,
+    population: localPopulation(),
+    births: simStats.births - telemetry.last.births,
+    sacrifices: simStats.sacrifices - telemetry.last.sacrifices,
+    deaths: simStats.deaths - telemetry.last.deaths,
+    failures: simStats.failures - telemetry.last.failures,
+    defects: simStats.defects - telemetry.last.defects,
+    remaining: systemRemainingTotal,
+    inflow: systemInflowTotal,
+    remainingFrac: systemInitialTotal > 0 ? systemRemainingTotal / systemInitialTotal : 0,
+    masterState: master.state,
+    cost: n > 0 ? costSum / n : replicateCost(), // mean over AI probes
+    factionPop: factions.length > 1 ? factions.map((f) => f.count) : undefined,
+    dna,
+  });
+
+  telemetry.last = Object.assign({}, simStats);
+}
+
+// Per-gene histogram of the AI probes on the gene's [min, max] bounds:
+// { gene: { min, max, mean, counts[bins] } }
+function dnaHistograms(bins) {
+  const out = {};
+  for (let k = 0; k < GENE_NAMES.length; k++) {
+    const b = geneBounds[GENE_NAMES[k]];
+    out[GENE_NAMES[k]] = { min: b.min, max: b.max, mean: 0, counts: new Array(bins).fill(0) };
+  }
+
+  let n = 0;
+  for (const S of localStores()) {
+    const genes = GENE_NAMES.map((g) => S[g]);
+    for (let i = 0; i < S.n; i++) {
+      if (S.flags[i] & (PF_PLAYER | PF_DEAD)) continue;
+      n++;
+      for (let k = 0; k < GENE_NAMES.length; k++) {
+        const h = out[GENE_NAMES[k]];
+        const v = genes[k][i];
+        const span = h.max - h.min;
+        const bin = span > 0 ? Math.floor(((v - h.min) / span) * bins) : 0;
+        h.counts[clamp(bin, 0, bins - 1)]++;
+        h.mean += v;
+      }
+    }
+  }
+
+  for (let k = 0; k < GENE_NAMES.length; k++) out[GENE_NAMES[k]].mean = n > 0 ? out[GENE_NAMES[k]].mean / n : 0;
+  return out;
+}
+
+function telemetryCSV() {
+  const cols = ["t", "system", "population", "births", "sacrifices", "deaths", "failures", "defects"];
+  cols.push("remaining", "inflow", "remaining_frac", "master_state", "cost");
+  for (let k = 0; k < DNA_TRAITS.length; k++) cols.push(`${DNA_TRAITS[k]}_mean`, `${DNA_TRAITS[k]}_var`);
+  const nf = factions.length > 1 ? factions.length : 0;
+  for (let f = 0; f < nf; f++) cols.push(`population_f${f}`);
+
+  const lines = [cols.join(",")];
+  for (let i = 0; i < telemetry.samples.length; i++) {
+    const s = telemetry.samples[i];
+    const row = [
+      s.t.toFixed(2),
+      s.system,
+      s.population,
+      s.births,
+      s.sacrifices,
+      s.deaths,
+      s.failures,
+      s.defects,
+      s.remaining.toFixed(2),
+      s.inflow.toFixed(2),
+      s.remainingFrac.toFixed(5),
+      s.masterState,
+      s.cost.toFixed(3),
+    ];
+    for (let k = 0; k < DNA_TRAITS.length; k++) {
+      const d = s.dna[DNA_TRAITS[k]];
+      row.push(d.mean.toFixed(4), d.variance.toFixed(4));
+    }
+    for (let f = 0; f < nf; f++) row.push(s.factionPop ? s.factionPop[f] : "");
+    lines.push(row.join(","));
+  }
+  return lines;
+}
+
+// Samples and transitions grouped by systemIndex
+function telemetryJSON() {
+  const bySystem = new Map();
+  const group = (sys) => {
+    if (!bySystem.has(sys)) bySystem.set(sys, { system: sys, samples: [], transitions: [] });
+    return bySystem.get(sys);
+  };
+
+  for (let i = 0; i < telemetry.samples.length; i++) group(telemetry.samples[i].system).samples.push(telemetry.samples[i]);
+  for (let i = 0; i < telemetry.transitions.length; i++) group(telemetry.transitions[i].system).transitions.push(telemetry.transitions[i]);
+
+  return {
+    type: "vnp-telemetry",
+    seed: simSeed,
+    config: simConfig,
+    costModel: { model: COST_MODEL, formula: COST_MODEL === "formula" ? COST_FORMULA : null },
+    sampleEvery: TELEMETRY_STEPS / STEPS_PER_SECOND,
+    traits: DNA_TRAITS.slice(),
+    // Galaxy systems in the order visited (system N above is route[N - 1])
+    route: galaxy ? galaxy.route.map((r) => ({ t: r[0] / STEPS_PER_SECOND, system: r[1] })) : null,
+    systems: Array.from(bySystem.values()).sort((a, b) => a.system - b.system),
+  };
+}
+
+// ---------------- Growth analysis ----------------
+
+// Resource-unlimited growth: every probe averages its `harvest` gene times harvestDutyCycle()
+// (the time it spends searching and travelling, as colonies count it) per second and has the
+// founders' other genes. A newborn starts with CHILD_START_RES and first replicates at cost
+// (default: the player's) * REPL_THRESHOLD; after that the parent keeps the surplus and needs one full `cost` (or the cooldown) per child.
+// The growth rate r solves the Euler-Lotka equation 1 = e^(-r*first) / (1 - e^(-r*cycle)).
+function theoreticalGrowth(harvest, cost = replicateCost()) {
+  const h = Math.max(harvest * harvestDutyCycle(), 1e-6);
+  const first = Math.max(cost * REPL_THRESHOLD - CHILD_START_RES, 0) / h;
+  const cycle = Math.max(cost / h, (REPL_COOLDOWN_MIN + REPL_COOLDOWN_MAX) * 0.5);
+
+  const f = (r) => Math.exp(-r * first) / (1 - Math.exp(-r * cycle)) - 1; // decreasing in r
+  let lo = 1e-9,
+    hi = 1;
+  while (f(hi) > 0 && hi < 1e3) hi *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) * 0.5;
+    if (f(mid) > 0) lo = mid;
+    else hi = mid;
+  }
+
+  const rate = (lo + hi) * 0.5;
+  return { rate, doubling: Math.LN2 / rate, first, cycle, cost, harvest: h, duty: harvestDutyCycle() };
+}
+
+// Least-squares fit of log2(population) over the last `windowSec` of NORMAL samples in the
+// newest sample's system. Returns the doubling time in sim-seconds (Infinity if not growing).
+function measuredDoublingTime(samples, windowSec) {
+  if (samples.length < 2) return Infinity;
+
+  const last = samples[samples.length - 1];
+  let n = 0,
+    sx = 0,
+    sy = 0,
+    sxx = 0,
+    sxy = 0;
+
+  for (let i = samples.length - 1; i >= 0; i--) {
+    const s = samples[i];
+    if (s.t < last.t - windowSec || s.system !== last.system) break;
+    if (s.masterState !== "NORMAL" || s.population <= 0) continue;
+    const y = Math.log2(s.population);
+    n++;
+    sx += s.t;
+    sy += y;
+    sxx += s.t * s.t;
+    sxy += s.t * y;
+  }
+
+  if (n < 5) return Infinity;
+  const den = n * sxx - sx * sx;
+  if (den <= 0) return Infinity;
+  const slope = (n * sxy - sx * sy) / den;
+  return slope > 1e-9 ? 1 / slope : Infinity;
+}
+
+// ---------------- Node exports ----------------
+
+// Live state is reassigned on spawn/warp, so it is exposed through getters.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FIXED_DT,
+    CONFIG_SCHEMA,
+    DNA_TRAITS,
+    GENES,
+    MATERIALS,
+    dnaHistograms,
+    lineageTree,
+    lineageInfo,
+    lineageChildren,
+    lineageAncestors,
+    topLineages,
+    initSim,
+    simStep,
+    simTime,
+    playerReplicate,
+    cycleFocus,
+    chooseDestination,
+    galaxyPopulation,
+    colonyPopulation,
+    localPopulation,
+    hybridDensity,
+    warpChargeTime,
+    replicateCost,
+    dnaCost,
+    PLAYER_ID,
+    probeInfo,
+    parseSeed,
+    serializeSim,
+    restoreSim,
+    startRecording,
+    stopRecording,
+    exportReplay,
+    beginPlayback,
+    endPlayback,
+    replayFinished,
+    telemetryCSV,
+    startRewind,
+    rewindTo,
+    rewindTimeline,
+    telemetryJSON,
+    theoreticalGrowth,
+    measuredDoublingTime,
+    validateConfig,
+    reliabilityEnabled,
+    commsComparison,
+    configFromPairs,
+    get probes() {
+      return probes;
+    },
+    get hybridField() {
+      return hybridField;
+    },
+    get player() {
+      return probeInfo(PLAYER_ID);
+    },
+    get focusId() {
+      return focusId;
+    },
+    get resources() {
+      return resources;
+    },
+    get resourceActive() {
+      return resourceActive;
+    },
+    get master() {
+      return master;
+    },
+    get simStats() {
+      return simStats;
+    },
+    get factions() {
+      return factions;
+    },
+    get galaxy() {
+      return galaxy;
+    },
+    get systemIndex() {
+      return systemIndex;
+    },
+    get systemInitialTotal() {
+      return systemInitialTotal;
+    },
+    get systemRemainingTotal() {
+      return systemRemainingTotal;
+    },
+    get telemetry() {
+      return telemetry;
+    },
+    get simTick() {
+      return simTick;
+    },
+    get simSeed() {
+      return simSeed;
+    },
+    get playerInput() {
+      return playerInput;
+    },
+    get simConfig() {
+      return simConfig;
+    },
+    get HARD_PROBE_CAP() {
+      return HARD_PROBE_CAP;
+    },
+    get WORLD() {
+      return WORLD;
+    },
+  };
+}
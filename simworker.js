@@ -0,0 +1,258 @@
+// Simulation worker: runs sim.js off the main thread for the renderer (vnp.js, Worker section).
+// Steps on its own real-time clock, so a slow frame never costs sim time and a slow step never
+// blocks drawing. The renderer gets frames on request: probe and resource state as typed arrays
+// (transferred, not copied) plus the small stuff (masters, stats, galaxy) as plain objects.
+//
+// Messages in:  { type: "input", ax, ay, boost, replicate }, { type: "pause", paused },
+//               { type: "speed", speed }, { type: "step" }, { type: "ffwd", on },
+//               { type: "seek", step }, { type: "frame" },
+//               { type: "call", id, calls: [[name, ...args], ...] }  (sim.js functions, see WORKER_CALLS)
+// Messages out: { type: "frame", ... }, { type: "reset", seed, config, frame }, { type: "reply", id, result | error }
+
+importScripts("sim.js");
+
+const WORKER_SLICE_MS = 12; // stepping per turn before messages are looked at
+const WORKER_IDLE_MS = 4;
+const WORKER_MAX_BACKLOG = 1; // real seconds it may fall behind before letting some go
+
+// What the renderer may call; RESET_CALLS replace the run (the mirror starts over)
+const WORKER_CALLS = [
+  "initSim",
+  "restoreSim",
+  "serializeSim",
+  "startRecording",
+  "startRewind",
+  "rewindTo",
+  "exportReplay",
+  "beginPlayback",
+  "endPlayback",
+  "telemetryCSV",
+  "telemetryJSON",
+  "cycleFocus",
+  "chooseDestination",
+  "dnaHistograms",
+  "lineageColumns",
+];
+const RESET_CALLS = ["initSim", "restoreSim", "beginPlayback", "rewindTo"];
+
+let paused = false;
+let seekTo = -1; // replay step being sought, -1 otherwise
+const clock = newClock();
+let lastT = performance.now();
+
+// What the renderer already has (frames only send what changed)
+let sentResources = null;
+let sentResourceCount = -1;
+let sentTelemetry = null;
+let sentSamples = 0;
+let sentTransitions = 0;
+
+onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "input") {
+    playerInput.ax = msg.ax;
+    playerInput.ay = msg.ay;
+    playerInput.boost = msg.boost;
+    if (msg.replicate) playerInput.replicate = true;
+  } else if (msg.type === "pause") {
+    paused = msg.paused;
+  } else if (msg.type === "speed") {
+    clock.speed = msg.speed;
+  } else if (msg.type === "step") {
+    // Exactly one step (the renderer pauses first)
+    if (probes && seekTo < 0 && !replayFinished()) simStep(FIXED_DT);
+  } else if (msg.type === "ffwd") {
+    if (!msg.on) clock.ffwd = null;
+    else if (probes) startFastForward(clock);
+  } else if (msg.type === "seek") {
+    // Backwards seeks restart from the replay's start and fast-forward
+    if (!replayPlay) return;
+    const step = clamp(msg.step, 0, replayPlay.replay.steps);
+    if (step < replayPlay.step) beginPlayback(replayPlay.replay);
+    seekTo = step;
+  } else if (msg.type === "frame") {
+    postFrame("frame");
+  } else if (msg.type === "call") {
+    runCalls(msg);
+  }
+};
+
+function runCalls(msg) {
+  let result;
+  let reset = false;
+  try {
+    for (const [name, ...args] of msg.calls) {
+      if (!WORKER_CALLS.includes(name)) throw new Error(`Not callable in the worker: ${name}`);
+      result = self[name](...args);
+      if (RESET_CALLS.includes(name)) reset = true;
+    }
+  } catch (e) {
+    postMessage({ type: "reply", id: msg.id, error: e.message });
+    return;
+  }
+
+  if (reset) {
+    seekTo = -1;
+    clock.acc = 0;
+    clock.ffwd = null;
+    sentResources = null;
+    sentTelemetry = null;
+    postFrame("reset");
+  }
+  postMessage({ type: "reply", id: msg.id, result });
+}
+
+function loop() {
+  const now = performance.now();
+  if (probes) {
+    if (seekTo >= 0) {
+      while (replayPlay && replayPlay.step < seekTo && performance.now() - now < WORKER_SLICE_MS) simStep(FIXED_DT);
+      if (!replayPlay || replayPlay.step >= seekTo) seekTo = -1;
+      clock.acc = 0;
+    } else if (!paused && !replayFinished()) {
+      runClock(clock, (now - lastT) / 1000, WORKER_SLICE_MS, WORKER_MAX_BACKLOG);
+    } else {
+      clock.acc = 0;
+      clock.ffwd = null;
+    }
+  }
+  lastT = now;
+  setTimeout(loop, seekTo >= 0 || clock.ffwd || clock.acc >= FIXED_DT ? 0 : WORKER_IDLE_MS);
+}
+
+// Lineage columns for the lineage viewer (copies, for ids 0 .. nextProbeId-1)
+function lineageColumns() {
+  const n = lineageCount();
+  const out = { n };
+  for (const k of Object.keys(LINEAGE_COLUMNS)) out[k] = lineage[k].slice(0, n);
+  return out;
+}
+
+// ---------------- Frames ----------------
+
+function postFrame(type) {
+  const transfer = [];
+  const frame = {
+    tick: simTick,
+    systemIndex,
+    systemInitialTotal,
+    systemRemainingTotal,
+    systemInflowTotal,
+    stats: simStats,
+    comms: COMMS ? commsStats : null,
+    factions: factions.map((f) => ({ id: f.id, color: f.color, start: f.start, count: f.count, master: serializeMaster(f.master) })),
+    player: probeInfo(PLAYER_ID),
+    focus: focusId !== PLAYER_ID ? probeInfo(focusId) : null,
+    focusId,
+    galaxy: galaxy ? galaxyFrame() : null,
+    telemetry: telemetryFrame(),
+    replay: replayPlay ? { step: replayPlay.step, steps: replayPlay.replay.steps, seed: replayPlay.replay.seed } : null,
+    seekTo,
+    rewind: rewind ? rewindTimeline() : null,
+    clock: { speed: clock.speed, ffwd: !!clock.ffwd, stopped: clock.stopped, rate: clock.rate, dropping: clock.dropping },
+    probes: probeFrame(transfer),
+    hybrid: hybridField ? hybridFrame(transfer) : null,
+    resources: resourceFrame(transfer),
+  };
+
+  clock.stopped = ""; // shown once
+
+  if (type === "reset") postMessage({ type, seed: simSeed, config: simConfig, frame }, transfer);
+  else postMessage({ type, frame }, transfer);
+}
+
+// The store's columns the renderer draws from, cut to n (positions and angles as Float32)
+function probeFrame(transfer) {
+  const P = probes;
+  const n = P.n;
+  const out = {
+    n,
+    id: P.id.slice(0, n),
+    target: P.target.slice(0, n),
+    x: new Float32Array(P.x.subarray(0, n)),
+    y: new Float32Array(P.y.subarray(0, n)),
+    heading: new Float32Array(P.heading.subarray(0, n)),
+    sacrificeT: new Float32Array(P.sacrificeT.subarray(0, n)),
+    faction: P.faction.slice(0, n),
+    flags: P.flags.slice(0, n),
+  };
+  for (const k of ["id", "target", "x", "y", "heading", "sacrificeT", "faction", "flags"]) transfer.push(out[k].buffer);
+  return out;
+}
+
+// The hybrid field as a head count and per-cell density (the renderer draws no merged probe)
+function hybridFrame(transfer) {
+  const density = hybridDensity();
+  transfer.push(density.buffer);
+  return { n: hybridField.n, density };
+}
+
+// Amounts and the active list every frame; positions, sizes and kinds only when the field changed
+function resourceFrame(transfer) {
+  const n = resources.length;
+  const out = { amt: new Float32Array(n), active: Int32Array.from(resourceActive), fixed: null };
+  for (let i = 0; i < n; i++) out.amt[i] = resources[i].amt;
+  transfer.push(out.amt.buffer, out.active.buffer);
+
+  if (resources !== sentResources || n !== sentResourceCount) {
+    const fixed = {
+      id: new Int32Array(n),
+      x: new Float32Array(n),
+      y: new Float32Array(n),
+      maxAmt: new Float32Array(n),
+      kind: new Uint8Array(n),
+      mat: new Uint8Array(n),
+    };
+    for (let i = 0; i < n; i++) {
+      const r = resources[i];
+      fixed.id[i] = r.id;
+      fixed.x[i] = r.x;
+      fixed.y[i] = r.y;
+      fixed.maxAmt[i] = r.maxAmt;
+      fixed.kind[i] = r.kind;
+      fixed.mat[i] = r.mat;
+    }
+    for (const k of Object.keys(fixed)) transfer.push(fixed[k].buffer);
+    out.fixed = fixed;
+    sentResources = resources;
+    sentResourceCount = n;
+  }
+  return out;
+}
+
+// Stored fields of systems left behind stay here. Colonies go as head counts: members is just
+// { n }, which is all the renderer reads (colonyPopulation).
+function galaxyFrame() {
+  return {
+    systems: galaxy.systems.map((sys) => Object.assign({}, sys, { saved: null })),
+    links: galaxy.links,
+    current: galaxy.current,
+    destination: galaxy.destination,
+    route: galaxy.route,
+    colonies: galaxy.colonies.map((c) => ({
+      system: c.system,
+      faction: c.faction,
+      members: { n: c.members.n },
+    })),
+  };
+}
+
+// Samples and transitions added since the last frame (everything after a reset)
+function telemetryFrame() {
+  const reset = telemetry !== sentTelemetry;
+  if (reset) {
+    sentTelemetry = telemetry;
+    sentSamples = 0;
+    sentTransitions = 0;
+  }
+  const out = {
+    reset,
+    samples: telemetry.samples.slice(sentSamples),
+    transitions: telemetry.transitions.slice(sentTransitions),
+  };
+  sentSamples = telemetry.samples.length;
+  sentTransitions = telemetry.transitions.length;
+  return out;
+}
+
+loop();
@@ -0,0 +1,223 @@
+// Parameter sweep: runs headless simulations (sim.js) over a grid of config values x seeds
+// and writes one CSV row per run.
+//
+//   node sweep.js --grid radarRange=600,1000,1600 --grid replicateCost=80,100,140 --seeds 3 --seconds 1800 --out sweep.csv
+//   node sweep.js --spec sweep.json --jobs 4
+//
+// A spec file holds the same options:
+//   { "grid": { "radarRange": [600, 1000] }, "base": { "numResRich": 200 }, "seeds": 3,
+//     "founders": 4, "seconds": 1800, "systems": 3, "out": "sweep.csv" }
+// Grid and base keys are config keys (sim.js CONFIG_SCHEMA). "seeds" is a count (1..N) or a list.
+// Text keys (formulas, which contain commas) separate their --grid values with ";" instead:
+//   --grid "costFormula=base*max(1,pop/500);base*(1+pop/5000)"   --grid "costFormula=base*max(1,pop/500)"
+// A run stops after `seconds` of sim time or once `systems` systems have been warped out of.
+
+const fs = require("fs");
+const os = require("os");
+const { Worker, isMainThread, parentPort } = require("worker_threads");
+const sim = require("./sim.js");
+
+function parseArgs(argv) {
+  const opts = { grid: {}, base: {}, seeds: 1, founders: 4, seconds: 1800, systems: 0, out: "sweep.csv", jobs: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const k = a.slice(2);
+    const v = argv[i + 1];
+    i++;
+    if (k === "spec") Object.assign(opts, JSON.parse(fs.readFileSync(v, "utf8")));
+    else if (k === "grid") {
+      const eq = v.indexOf("=");
+      const key = v.slice(0, eq);
+      const schema = sim.CONFIG_SCHEMA[key];
+      opts.grid[key] = v
+        .slice(eq + 1)
+        .split(schema && schema.text ? ";" : ",")
+        .map((x) => (x.trim() !== "" && isFinite(x) ? Number(x) : x));
+    } else if (k === "set") Object.assign(opts.base, sim.configFromPairs([v]));
+    else if (k === "seeds") opts.seeds = v.includes(",") ? v.split(",").map((x) => sim.parseSeed(x)) : parseInt(v, 10);
+    else if (k === "founders") opts.founders = parseInt(v, 10);
+    else if (k === "seconds") opts.seconds = parseFloat(v);
+    else if (k === "systems") opts.systems = parseInt(v, 10);
+    else if (k === "out") opts.out = v;
+    else if (k === "jobs") opts.jobs = v === "auto" ? os.cpus().length : parseInt(v, 10);
+    else throw new Error(`Unknown option --${k}`);
+  }
+  return opts;
+}
+
+// Cartesian product of the grid, each combination merged over `base` and validated up front
+function buildJobs(opts) {
+  const keys = Object.keys(opts.grid);
+  const seeds = Array.isArray(opts.seeds) ? opts.seeds : Array.from({ length: opts.seeds }, (_, i) => i + 1);
+
+  let combos = [{}];
+  for (const k of keys) {
+    const next = [];
+    for (const c of combos) for (const v of opts.grid[k]) next.push(Object.assign({}, c, { [k]: v }));
+    combos = next;
+  }
+
+  const jobs = [];
+  for (let ci = 0; ci < combos.length; ci++) {
+    const config = Object.assign({}, opts.base, combos[ci]);
+    sim.validateConfig(config);
+    for (const seed of seeds) {
+      jobs.push({ id: jobs.length, combo: ci, params: combos[ci], config, seed, founders: opts.founders, seconds: opts.seconds, systems: opts.systems });
+    }
+  }
+  return { jobs, keys };
+}
+
+function runJob(job) {
+  sim.initSim({ seed: job.seed, founders: job.founders, config: job.config });
+
+  const maxSteps = Math.round(job.seconds / sim.FIXED_DT);
+  let peak = sim.localPopulation();
+  let stop = "time";
+
+  for (let step = 0; step < maxSteps; step++) {
+    sim.simStep(sim.FIXED_DT);
+    if (sim.localPopulation() > peak) peak = sim.localPopulation();
+    if (job.systems > 0 && sim.systemIndex - 1 >= job.systems) {
+      stop = "systems";
+      break;
+    }
+  }
+
+  // Per system: start = arrival (warp-in), depletion = time from arrival until the Master AI rallies
+  const tr = sim.telemetry.transitions;
+  const start = { 1: 0 };
+  const depletion = [];
+  let firstWarp = null;
+  for (let i = 0; i < tr.length; i++) {
+    const e = tr[i];
+    if (e.faction) continue; // rival factions rally/warp in step with faction 0
+    if (e.to === "WARP" && firstWarp == null) firstWarp = e.t;
+    if (e.from === "WARP" && e.to === "NORMAL") start[e.system] = e.t;
+    if (e.to === "RALLY" && start[e.system] != null) depletion[e.system - 1] = e.t - start[e.system];
+  }
+
+  // Mean genes of the AI probes (null once only the player is left)
+  const dna = {};
+  const hist = sim.dnaHistograms(1);
+  for (const t of sim.DNA_TRAITS) dna[t] = sim.localPopulation() > 1 ? hist[t].mean : null;
+
+  return {
+    id: job.id,
+    combo: job.combo,
+    params: job.params,
+    seed: job.seed,
+    stop,
+    simSeconds: sim.simTime(),
+    systemsCompleted: sim.systemIndex - 1,
+    firstWarp,
+    peak,
+    finalPopulation: sim.localPopulation(),
+    depletion,
+    dna,
+  };
+}
+
+function toCSV(results, keys) {
+  const maxSys = results.reduce((m, r) => Math.max(m, r.depletion.length), 0);
+  const cols = keys.concat(["seed", "stop", "sim_s", "systems_completed", "first_warp_s", "peak_population", "final_population"]);
+  for (let s = 1; s <= maxSys; s++) cols.push(`depletion_s_sys${s}`);
+  for (const t of sim.DNA_TRAITS) cols.push(`${t}_mean`);
+
+  const fmt = (v, d) => (v == null ? "" : v.toFixed(d));
+  const lines = [cols.map(csvField).join(",")];
+  for (const r of results) {
+    const row = keys.map((k) => r.params[k]);
+    row.push(r.seed, r.stop, fmt(r.simSeconds, 2), r.systemsCompleted, fmt(r.firstWarp, 2), r.peak, r.finalPopulation);
+    for (let s = 0; s < maxSys; s++) row.push(fmt(r.depletion[s], 2));
+    for (const t of sim.DNA_TRAITS) row.push(fmt(r.dna[t], 4));
+    lines.push(row.map(csvField).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// RFC 4180: fields with a comma, quote or line break are quoted, quotes doubled
+function csvField(v) {
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Mean over seeds per parameter combination
+function printSummary(results, keys) {
+  const groups = new Map();
+  for (const r of results) {
+    if (!groups.has(r.combo)) groups.set(r.combo, []);
+    groups.get(r.combo).push(r);
+  }
+
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+  console.log("\nmean over seeds:");
+  for (const [, rs] of [...groups.entries()].sort((a, b) => a[0] - b[0])) {
+    const label = keys.map((k) => `${k}=${rs[0].params[k]}`).join(" ") || "(base)";
+    const warps = rs.filter((r) => r.firstWarp != null).map((r) => r.firstWarp);
+    const fw = mean(warps);
+    const peak = mean(rs.map((r) => r.peak));
+    console.log(
+      `  ${label.padEnd(48)} first warp ${fw == null ? "none" : fw.toFixed(0) + "s"} (${warps.length}/${rs.length})  peak ${peak.toFixed(0)}`
+    );
+  }
+}
+
+function runAll(jobs, nWorkers, onResult) {
+  if (nWorkers <= 1) {
+    for (const job of jobs) onResult(runJob(job));
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let active = 0;
+    for (let w = 0; w < Math.min(nWorkers, jobs.length); w++) {
+      const worker = new Worker(__filename);
+      active++;
+      worker.on("message", (res) => {
+        onResult(res);
+        if (next < jobs.length) worker.postMessage(jobs[next++]);
+        else worker.terminate();
+      });
+      worker.on("error", reject);
+      worker.on("exit", () => {
+        if (--active === 0) resolve();
+      });
+      worker.postMessage(jobs[next++]);
+    }
+  });
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const { jobs, keys } = buildJobs(opts);
+
+  console.log(`${jobs.length} runs (${jobs.length / (Array.isArray(opts.seeds) ? opts.seeds.length : opts.seeds)} combinations), ${opts.jobs} job(s)`);
+
+  const results = [];
+  const t0 = Date.now();
+  await runAll(jobs, opts.jobs, (res) => {
+    results.push(res);
+    const label = keys.map((k) => `${k}=${res.params[k]}`).join(" ");
+    console.log(
+      `[${results.length}/${jobs.length}] ${label} seed=${res.seed}: ${res.stop} at ${res.simSeconds.toFixed(0)}s, ` +
+        `${res.systemsCompleted} systems, peak ${res.peak}`
+    );
+  });
+
+  results.sort((a, b) => a.id - b.id);
+  fs.writeFileSync(opts.out, toCSV(results, keys));
+  printSummary(results, keys);
+  console.log(`\nwrote ${opts.out} (${((Date.now() - t0) / 1000).toFixed(1)}s wall)`);
+}
+
+if (isMainThread) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+} else {
+  parentPort.on("message", (job) => parentPort.postMessage(runJob(job)));
+}
@@ -1,174 +1,145 @@
 // Von Neumann Probes (p5.js) — Radar + Warp Systems (OPTIMIZED for 10k+ probes)
-// Mechanics kept the same. Replication cost = 100 for EVERYONE (player + AI), no DNA multiplier.
+// Mechanics kept the same. Replication cost: 100 for everyone by default; other cost models in sim.js (COST_MODELS).
+// This file is the p5 renderer + input layer; the simulation itself lives in sim.js (headless, also runs under Node).
 // Major optimizations:
 // - Fixed-step simulation with accumulator (keeps real-time speed instead of slowing down when FPS drops)
-// - Probe physics/AI rewritten to avoid p5.Vector allocations (numeric math only)
+// - Probe physics/AI rewritten to avoid p5.Vector allocations (numeric math only), over typed-array columns (sim.js Probe store)
 // - Fast wrapping (no % in hot path)
 // - Precomputed neighbor cell lists for radar + harvest (no per-ping modulo loops)
 // - Draw culling + LOD (visual-only): only draw probes/resources/stars in view; simplify probe rendering when crowded
 // - Sacrifice removal is O(n) compaction (no repeated splice in a loop)
+// - All simulation randomness comes from a seeded PRNG (set with ?seed=... in the URL) so runs are reproducible
+// - The simulation steps in a Web Worker (simworker.js) where the browser allows it; this thread only draws
+// - Resources and probes are drawn with instanced WebGL (glrender.js) where available
 
-let WORLD = { w: 24000, h: 24000 };
-
-let probes = [];
-let resources = [];
-let resourceActive = []; // indices of active resources (amt>0)
 let stars = [];
 
-let player = null;
-let camFocus = null;
-
 let zoom = 1.0;
 let paused = false;
 
-let systemIndex = 1;
-let systemInitialTotal = 0;
-let systemRemainingTotal = 0;
+// Copies of the player and the focused probe (sim.js probeInfo), refreshed every frame
+let player = null;
+let camFocus = null;
+let fieldDensity = null; // merged probes per resource grid cell (sim.js hybridDensity), with the hybrid field on
+
+// Short status line at the bottom of the HUD (save/load results etc.)
+let hudMessage = "";
+let hudMessageT = 0;
 
 // Visual density
 const NUM_STARS = 2600;
-const NUM_RES_COMMON = 1200;
-const NUM_RES_RICH = 140;
-
-// Probe/resource tuning
-const PROBE_RADIUS = 10;
-const RESOURCE_BASE_R = 8;
-
-const CHILD_START_RES = 12;
-const HARD_PROBE_CAP = 1000000;
-
-// Master AI / Warp
-const MASTER_TRIGGER_DEPLETION = 0.90; // 90% depleted => remaining <= 10%
-const RALLY_RADIUS = 260;
-const RALLY_RADIUS2 = RALLY_RADIUS * RALLY_RADIUS;
-const RALLY_FRACTION = 0.65;
-const RALLY_TIMEOUT = 22;
-const WARP_CHARGE_TIME = 5.5;
-
-// AI Radar (realistic sensing)
-const RADAR_RANGE = 1000;
-const RADAR_RANGE2 = RADAR_RANGE * RADAR_RANGE;
-const RADAR_COOLDOWN_MIN = 0.85;
-const RADAR_COOLDOWN_MAX = 1.55;
-const WANDER_MIN = 0.6;
-const WANDER_MAX = 2.4;
-
-// Harvest contact distance
-const TOUCH_PAD = 6;
-
-// Resource distribution tuning
-const CLUSTER_COUNT_MIN = 24;
-const CLUSTER_COUNT_MAX = 42;
-const CLUSTER_SPREAD_MIN = 220;
-const CLUSTER_SPREAD_MAX = 780;
-
-const CLUSTER_PROB_COMMON = 0.35;
-const CLUSTER_PROB_RICH = 0.80;
-
-// Spatial grid (resources)
-const RES_CELL = 700;
-let resGridW = 0,
-  resGridH = 0;
-let resGrid = []; // array of arrays of resource indices
-
-// Precomputed neighbor cells
-let radarCellNeighbors = null; // [cellIndex] -> Int32Array or Array of neighbor cell indices
-let harvestCellNeighbors = null; // 3x3 neighbors
-
-// Simulation stepping
-const FIXED_DT = 1 / 50; // 50 Hz
-const MAX_STEPS_PER_FRAME = 5;
-let simAcc = 0;
-
-// LOD / drawing budgets (visual only)
+
+// Simulation stepping (sim.js Clock; the worker has its own and sends a copy with its frames)
+const FRAME_STEP_MS = 10; // wall time per frame for stepping
+const FAST_FORWARD_FRAME_MS = 40; // the same while fast-forwarding (fewer frames, more steps)
+const MAX_BACKLOG = 0.25; // real seconds the sim may fall behind before steps are dropped
+let simClock = newClock();
+
+// LOD / drawing budgets (visual only; the LOD is for p5 drawing, glrender.js draws everything in view)
 const LOD_SIMPLIFY_AT = 2500; // simplify non-player probe drawing when total probes exceeds this
 const LOD_DOWNSAMPLE_AT = 9000; // when a LOT are in view, downsample drawing
 const DRAW_MARGIN = 120; // world-units margin outside view before culling
-
-let master = {
-  state: "NORMAL", // NORMAL -> RALLY -> BUILD -> CHARGE -> WARP
-  waypoint: null, // {x,y}
-  t: 0,
-  sacrificed: 0,
-  toSacrifice: 0,
-  warpMachine: null,
-};
+const MATERIAL_COLORS = [
+  [170, 190, 215], // metals
+  [90, 235, 190], // volatiles
+  [255, 190, 80], // rare
+];
 
 function setup() {
   createCanvas(900, 650);
   pixelDensity(1);
+  startGLRenderer();
+
+  const seed = seedFromUrl();
+  const config = configFromUrl();
+  if (startWorker()) workerStart = { seed, config };
+  startSim(seed, config);
+}
 
-  // Stars (fixed across systems)
+// A bad config from the URL falls back to the defaults
+function startSim(seed, config) {
+  simCall([["initSim", { seed, config }], ["startRecording"], ["startRewind"]], makeStars, (e) => {
+    simCall([["initSim", { seed }], ["startRecording"], ["startRewind"]], makeStars);
+    flashMessage(e.message);
+    hudMessageT = 10;
+  });
+}
+
+// Stars (fixed across systems). Visual-only, so they use their own stream
+// and never shift the simulation's random sequence. Rebuilt when the world size can change.
+function makeStars() {
+  const starRng = makeRng(simSeed ^ 0x9e3779b9);
+  stars = [];
   for (let i = 0; i < NUM_STARS; i++) {
     stars.push({
-      x: rand(0, WORLD.w),
-      y: rand(0, WORLD.h),
-      tw: rand(0.3, 1.0),
-      s: rand(0.6, 2.0),
+      x: starRng() * WORLD.w,
+      y: starRng() * WORLD.h,
+      tw: 0.3 + 0.7 * starRng(),
+      s: 0.6 + 1.4 * starRng(),
     });
   }
-
-  // System 1
-  spawnSystem();
-
-  // Player
-  player = new Probe(WORLD.w * 0.5, WORLD.h * 0.5, true, makeDNA(true));
-  probes.push(player);
-  camFocus = player;
 }
 
 function draw() {
-  if (paused) {
-    renderScene(0);
-    hud();
-    pausedOverlay();
-    return;
-  }
-
   // Real-time accumulator (keeps sim from slowing down when FPS drops)
   let frameDt = deltaTime / 1000;
   if (!isFinite(frameDt) || frameDt < 0) frameDt = 0;
   frameDt = min(frameDt, 0.25); // prevent huge jumps
-  simAcc += frameDt;
+  hudMessageT = max(0, hudMessageT - frameDt);
 
-  let steps = 0;
-  while (simAcc >= FIXED_DT && steps < MAX_STEPS_PER_FRAME) {
-    simStep(FIXED_DT);
-    simAcc -= FIXED_DT;
-    steps++;
+  // With a worker: ask for its next frame and pass on the keyboard; nothing to draw before its first
+  if (simWorker && !syncWorker()) {
+    background(6);
+    return;
   }
-  // If we're falling behind badly, drop extra accumulated time to stay responsive
-  if (steps === MAX_STEPS_PER_FRAME) simAcc = 0;
-
-  renderScene(FIXED_DT);
-  hud();
-}
-
-// ---------------- Simulation ----------------
 
-function simStep(dt) {
-  // Update probe behaviors + motion
-  for (let i = 0; i < probes.length; i++) probes[i].update(dt);
+  // Replay seek: catch up as fast as the frame budget allows (the worker seeks by itself)
+  if (replayPlay && replaySeekTo >= 0) {
+    if (!simWorker) advanceReplaySeek();
+    renderScene(0);
+    hud();
+    drawReplayBar();
+    return;
+  }
 
-  // Harvest (even if stationary)
-  for (let i = 0; i < probes.length; i++) probes[i].harvest(dt);
+  if (replayFinished() && !paused && !workerBehind()) {
+    setPaused(true);
+    flashMessage("End of replay (Esc: continue live from here)");
+  }
 
-  // Replication (only when normal)
-  if (master.state === "NORMAL") {
-    for (let i = 0; i < probes.length; i++) probes[i].tryAutoReplicate(dt);
+  if (paused) {
+    renderScene(0);
+    hud();
+    pausedOverlay();
+    if (replayPlay) drawReplayBar();
+    if (showRewind) drawRewindBar();
+    return;
   }
 
-  // Master AI orchestration
-  masterUpdate(dt);
+  if (!simWorker) {
+    const budget = simClock.ffwd ? FAST_FORWARD_FRAME_MS : FRAME_STEP_MS;
+    runClock(simClock, frameDt, budget, MAX_BACKLOG, replayPlay ? null : readPlayerInput);
+  }
+  if (simClock.stopped) {
+    flashMessage(`Fast-forward stopped: ${simClock.stopped}`);
+    simClock.stopped = "";
+  }
 
-  // Sacrifice completion + compact probe list (O(n), no splice storms)
-  purgeSacrificed();
+  renderScene(FIXED_DT);
+  hud();
+  if (replayPlay) drawReplayBar();
+  if (showRewind) drawRewindBar();
 }
 
 // ---------------- Rendering ----------------
 
 function renderScene(dt) {
-  if (!camFocus || camFocus.dead) camFocus = player;
+  if (!simWorker) {
+    player = probeInfo(PLAYER_ID);
+    camFocus = probeInfo(focusId) || player;
+    fieldDensity = hybridField ? hybridDensity() : null;
+    rewindLine = showRewind && rewind ? rewindTimeline() : null;
+  }
   const cam = camFocus;
 
   background(6);
@@ -178,9 +149,11 @@ function renderScene(dt) {
   scale(zoom);
 
   drawStarfield(cam.x, cam.y);
-  drawResources(cam.x, cam.y);
+  if (glView) glDrawResources(cam.x, cam.y);
+  else drawResources(cam.x, cam.y);
   drawMasterMarkers(cam.x, cam.y, dt);
-  drawProbes(cam.x, cam.y);
+  if (glView) glDrawProbes(cam.x, cam.y);
+  else drawProbes(cam.x, cam.y);
 
   pop();
 }
@@ -224,7 +197,20 @@ function drawResources(camX, camY) {
     const rr = r.radius;
     noStroke();
 
-    if (r.kind === 0) {
+    if (MATERIALS_ON) {
+      // Hue by material, size/glow by kind
+      const c = MATERIAL_COLORS[r.mat];
+      const big = r.kind === 0 ? 1 : 1.12;
+      fill(c[0], c[1], c[2], 24);
+      circle(0, 0, rr * 3.4 * big);
+
+      const a = map(r.amt, 0, r.maxAmt, 70, 255);
+      fill(c[0], c[1], c[2], a);
+      circle(0, 0, rr * 2 * big);
+
+      fill(245, 245, 255, 215);
+      circle(0, 0, rr * 0.75);
+    } else if (r.kind === 0) {
       fill(30, 120, 255, 26);
       circle(0, 0, rr * 3.2);
 
@@ -250,42 +236,71 @@ function drawResources(camX, camY) {
   }
 }
 
+// One bar segment per material: player's cargo against that material's share of the recipe
+function drawMaterialBars(x, y, w, h, cost) {
+  const gap = 6;
+  const segW = (w - gap * (MATERIALS.length - 1)) / MATERIALS.length;
+  textSize(10);
+  for (let m = 0; m < MATERIALS.length; m++) {
+    const sx = x + m * (segW + gap);
+    const need = cost * RECIPE[m];
+    const have = player.cargo[m];
+    const c = MATERIAL_COLORS[m];
+    fill(255, 35);
+    rect(sx, y, segW, h, 6);
+    fill(c[0], c[1], c[2], 200);
+    rect(sx, y, segW * (need > 0 ? constrain(have / need, 0, 1) : 1), h, 6);
+    fill(20);
+    text(`${MATERIALS[m]} ${have.toFixed(1)}/${need.toFixed(1)}`, sx + 6, y + h - 3);
+  }
+  textSize(14);
+}
+
+// Waypoints are gold for the player's faction, tinted with the faction color for rivals
 function drawMasterMarkers(camX, camY, dt) {
-  if (master.waypoint) {
-    const dx = wrapDeltaFast(master.waypoint.x - camX, WORLD.w);
-    const dy = wrapDeltaFast(master.waypoint.y - camY, WORLD.h);
+  for (let i = 0; i < factions.length; i++) {
+    const f = factions[i];
+    drawWaypointMarker(f.master, i === 0 ? [255, 210, 120] : f.color, camX, camY);
+
+    if (f.master.warpMachine) {
+      f.master.warpMachine.update(dt);
+      drawWarpMachine(f.master.warpMachine, camX, camY);
+    }
+  }
+}
+
+function drawWaypointMarker(m, c, camX, camY) {
+  if (m.waypoint) {
+    const dx = wrapDeltaFast(m.waypoint.x - camX, WORLD.w);
+    const dy = wrapDeltaFast(m.waypoint.y - camY, WORLD.h);
 
     const pulse = 0.5 + 0.5 * sin(frameCount * 0.05);
     const r1 = 90 + 25 * pulse;
     const r2 = 150 + 35 * pulse;
 
     noFill();
-    stroke(255, 210, 120, 160);
+    stroke(c[0], c[1], c[2], 160);
     strokeWeight(3);
     circle(dx, dy, r1);
 
-    stroke(255, 210, 120, 80);
+    stroke(c[0], c[1], c[2], 80);
     strokeWeight(2);
     circle(dx, dy, r2);
 
-    stroke(255, 210, 120, 120);
+    stroke(c[0], c[1], c[2], 120);
     strokeWeight(2);
     line(dx - 26, dy, dx + 26, dy);
     line(dx, dy - 26, dx, dy + 26);
     noStroke();
   }
-
-  if (master.warpMachine) {
-    master.warpMachine.update(dt);
-    master.warpMachine.draw(camX, camY);
-  }
 }
 
 function drawProbes(camX, camY) {
   const halfW = width / (2 * zoom);
   const halfH = height / (2 * zoom);
 
-  const total = probes.length;
+  const P = probes;
+  const total = P.n;
   const simplify = total >= LOD_SIMPLIFY_AT;
 
   // If we are looking into a dense rally blob, downsample drawing (visual-only)
@@ -294,29 +309,34 @@ function drawProbes(camX, camY) {
   if (total >= LOD_DOWNSAMPLE_AT) drawEvery = 2;
   if (total >= 20000) drawEvery = 3;
 
-  for (let i = 0; i < probes.length; i++) {
-    const p = probes[i];
-    if (p.dead) continue;
+  for (let i = 0; i < total; i++) {
+    const flags = P.flags[i];
+    if (flags & PF_DEAD) continue;
 
     // Always draw player + focus
-    const mustDraw = p.isPlayer || p === camFocus;
+    const mustDraw = (flags & PF_PLAYER) !== 0 || P.id[i] === camFocus.id;
 
     if (!mustDraw && drawEvery > 1 && (i % drawEvery) !== 0) continue;
 
-    const dx = wrapDeltaFast(p.x - camX, WORLD.w);
-    const dy = wrapDeltaFast(p.y - camY, WORLD.h);
+    const dx = wrapDeltaFast(P.x[i] - camX, WORLD.w);
+    const dy = wrapDeltaFast(P.y[i] - camY, WORLD.h);
 
     if (!mustDraw && (abs(dx) > halfW + DRAW_MARGIN || abs(dy) > halfH + DRAW_MARGIN)) continue;
 
-    p.drawAt(dx, dy, simplify, camX, camY);
+    drawProbeAt(i, dx, dy, simplify, camX, camY);
   }
 }
 
 // ---------------- HUD ----------------
 
+// The player's replication cost from its copy (the worker's frames carry no genes for the rest)
+function playerCost() {
+  return dnaCost(player.dna);
+}
+
 function hud() {
-  const cost = replicateCost();
-  const total = probes.length;
+  const cost = playerCost();
+  const total = localPopulation();
   const aiCount = max(0, total - 1);
 
   const remainingPct = systemInitialTotal > 0 ? (systemRemainingTotal / systemInitialTotal) * 100 : 0;
@@ -331,15 +351,26 @@ function hud() {
   fill(255);
   textSize(14);
 
-  const focusName = camFocus === player ? "Player" : `AI #${camFocus.id}`;
-  text(`System: ${systemIndex}   |   Focus: ${focusName}`, 22, 35);
-  text(`Probes: ${total} (AI: ${aiCount})`, 22, 58);
-  text(`Resources remaining: ${remainingPct.toFixed(1)}%`, 22, 81);
+  const focusName = camFocus.isPlayer ? "Player" : `AI #${camFocus.id}`;
+  const systemName = galaxy ? `${systemIndex} (#${galaxy.current})` : `${systemIndex}`;
+  text(`System: ${systemName}   |   Focus: ${focusName}   |   Seed: ${simSeed}`, 22, 35);
+  const merged = hybridField ? `, ${hybridField.n} merged` : "";
+  let probesLine = `Probes: ${total} (AI: ${aiCount}${merged})`;
+  if (COLONIES_ON) probesLine += `   |   Galaxy: ${galaxyPopulation()} in ${populatedSystemCount()} systems`;
+  if (reliabilityEnabled()) {
+    probesLine += `   |   Died: ${simStats.deaths}  Failed: ${simStats.failures}  Defects: ${simStats.defects}`;
+  }
+  text(probesLine, 22, 58);
+  if (factions.length > 1) drawFactionCounts(40 + textWidth(probesLine), 58, 14);
+  const inflow = regenEnabled() ? `   |   Inflow: +${systemInflowTotal.toFixed(0)}` : "";
+  text(`Resources remaining: ${remainingPct.toFixed(1)}%${inflow}`, 22, 81);
 
   const pr = player.resources;
   const replAllowed = master.state === "NORMAL";
   text(
-    `Player resources: ${pr.toFixed(1)}   |   Replicate cost: ${cost.toFixed(1)}${replAllowed ? "" : " (locked)"}`,
+    `Player resources: ${pr.toFixed(1)}   |   Replicate cost: ${cost.toFixed(1)}` +
+      (COST_MODEL === "constant" ? "" : ` (${COST_MODEL})`) +
+      (replAllowed ? "" : " (locked)"),
     22,
     104
   );
@@ -351,21 +382,40 @@ function hud() {
   fill(255, 35);
   rect(barX, barY, barW, barH, 6);
 
-  const t = constrain(pr / cost, 0, 1);
-  fill(120, 255, 140, 200);
-  rect(barX, barY, barW * t, barH, 6);
+  if (player.cargo) drawMaterialBars(barX, barY, barW, barH, cost);
+  else {
+    const t = constrain(pr / cost, 0, 1);
+    fill(120, 255, 140, 200);
+    rect(barX, barY, barW * t, barH, 6);
+  }
 
   const status = masterStatusLine();
   if (status) {
     fill(255, 230, 150);
     text(status, 22, 154);
   }
+  drawClockStatus(488, 154);
 
   fill(220);
   textSize(12);
-  text("WASD/Arrows: thrust   Shift: boost   Space: replicate   Wheel: zoom   C: focus   P: pause", 22, 192);
+  text("WASD/Arrows: thrust   Shift: boost   Space: replicate   Wheel: zoom   C: focus   P: pause   /: step", 22, 192);
+  text(`K/L: save/load slot ${saveSlot}   N: next slot   J: download save   O: open save file   B: rewind`, 22, 208);
+  text("Y: download replay   U: open replay   E/X: export telemetry CSV/JSON   G: growth chart   M: galaxy", 22, 224);
+  text("F: restart with config file (or URL parameters)   H: genes   T: lineage   -/+: speed   V: fast-forward", 22, 240);
+
+  drawGrowthChart();
+  drawGeneHistograms();
+  drawLineageViewer();
 
   drawMinimap();
+  drawCommsPanel();
+  drawGalaxyMap();
+
+  if (hudMessageT > 0) {
+    fill(255, 230, 150);
+    textSize(14);
+    text(hudMessage, 22, height - 18);
+  }
   pop();
 }
 
@@ -380,7 +430,11 @@ function masterStatusLine() {
     return `Master AI: BUILDING warp machine (sacrificed: ${master.sacrificed}/${master.toSacrifice})`;
   }
   if (master.state === "CHARGE") {
-    return `Master AI: WARP CHARGING (${max(0, WARP_CHARGE_TIME - master.t).toFixed(1)}s)`;
+    const dest = galaxy && galaxy.destination >= 0 ? ` to #${galaxy.destination}, ${distanceTo(galaxy.destination).toFixed(1)} ly` : "";
+    return `Master AI: WARP CHARGING (${max(0, warpChargeTime() - master.t).toFixed(1)}s${dest})`;
+  }
+  if (master.state === "READY") {
+    return `Master AI: warp charged, waiting for rival factions`;
   }
   if (master.state === "WARP") {
     return `Master AI: WARPING...`;
@@ -388,6 +442,18 @@ function masterStatusLine() {
   return null;
 }
 
+// Per-faction probe counts in faction colors, left to right from x (extinct ones dimmed)
+function drawFactionCounts(x, y, size) {
+  textSize(size);
+  for (let i = 0; i < factions.length; i++) {
+    const f = factions[i];
+    const label = f.count > 0 ? `${f.count}` : "x";
+    fill(f.color[0], f.color[1], f.color[2], f.count > 0 ? 255 : 90);
+    text(label, x, y);
+    x += textWidth(label) + size * 0.8;
+  }
+}
+
 function drawMinimap() {
   const pad = 12;
   const mw = 180,
@@ -409,10 +475,26 @@ function drawMinimap() {
   const innerW = mw - 20,
     innerH = mh - 20;
 
-  if (master.waypoint) {
-    const wx = innerX + (master.waypoint.x / WORLD.w) * innerW;
-    const wy = innerY + (master.waypoint.y / WORLD.h) * innerH;
-    fill(255, 210, 120, 220);
+  // The hybrid field as shaded grid cells under everything else
+  if (fieldDensity) {
+    const cols = Math.ceil(WORLD.w / RES_CELL);
+    const cw = (RES_CELL / WORLD.w) * innerW;
+    const ch = (RES_CELL / WORLD.h) * innerH;
+    for (let c = 0; c < fieldDensity.length; c++) {
+      const d = fieldDensity[c];
+      if (d === 0) continue;
+      fill(150, 190, 255, min(150, 30 + 25 * Math.log2(d)));
+      rect(innerX + (c % cols) * cw, innerY + floor(c / cols) * ch, cw, ch);
+    }
+  }
+
+  for (let i = 0; i < factions.length; i++) {
+    const m = factions[i].master;
+    if (!m.waypoint) continue;
+    const c = i === 0 ? [255, 210, 120] : factions[i].color;
+    const wx = innerX + (m.waypoint.x / WORLD.w) * innerW;
+    const wy = innerY + (m.waypoint.y / WORLD.h) * innerH;
+    fill(c[0], c[1], c[2], 220);
     circle(wx, wy, 6);
   }
 
@@ -432,15 +514,59 @@ function drawMinimap() {
 
   // Keep minimap draw bounded (visual-only)
   const maxDots = 2200;
-  const step = max(1, floor((probes.length - 1) / maxDots));
-
-  fill(140, 200, 255, 170);
-  for (let i = 1; i < probes.length; i += step) {
-    const p = probes[i];
-    const px = innerX + (p.x / WORLD.w) * innerW;
-    const py = innerY + (p.y / WORLD.h) * innerH;
+  const P = probes;
+  const step = max(1, floor((P.n - 1) / maxDots));
+
+  let shown = -1;
+  for (let i = 1; i < P.n; i += step) {
+    const faction = P.faction[i];
+    if (faction !== shown) {
+      const c = factions[faction].color;
+      fill(c[0], c[1], c[2], 170);
+      shown = faction;
+    }
+    const px = innerX + (P.x[i] / WORLD.w) * innerW;
+    const py = innerY + (P.y[i] / WORLD.h) * innerH;
     circle(px, py, 3);
   }
+
+  if (factions.length > 1) drawFactionCounts(innerX + 4, innerY + innerH - 4, 10);
+}
+
+// Probes with comms against the rest (see commsComparison), under the minimap or growth chart
+function drawCommsPanel() {
+  if (!COMMS) return;
+  const c = commsComparison();
+  const w = 180,
+    h = 92;
+  const x = width - w - 12;
+  const y = CHART_MODES[chartMode] === "off" ? 204 : 204 + CHART_H + 8;
+
+  noStroke();
+  fill(0, 170);
+  rect(x, y, w, h, 12);
+
+  fill(255);
+  textSize(12);
+  text(`Comms: ${COMMS === 2 ? "range-limited" : "shared"}, ${COMMS_LATENCY}s`, x + 12, y + 18);
+  fill(200);
+  text("with", x + 88, y + 36);
+  text("without", x + 128, y + 36);
+  const rows = [
+    ["Pings/min", c.on.pingsPerMin.toFixed(1), c.off.pingsPerMin.toFixed(1)],
+    ["Harvest/s", c.on.harvestPerSec.toFixed(2), c.off.harvestPerSec.toFixed(2)],
+  ];
+  for (let i = 0; i < rows.length; i++) {
+    const ry = y + 54 + i * 16;
+    fill(220);
+    text(rows[i][0], x + 12, ry);
+    fill(120, 255, 140);
+    text(rows[i][1], x + 88, ry);
+    fill(255);
+    text(rows[i][2], x + 128, ry);
+  }
+  fill(200);
+  text(`Targets heard: ${c.heard}`, x + 12, y + h - 6);
 }
 
 function pausedOverlay() {
@@ -453,1057 +579,1316 @@ function pausedOverlay() {
   textSize(28);
   text("PAUSED", width / 2, height / 2 - 12);
   textSize(14);
-  text("Press P to resume", width / 2, height / 2 + 18);
+  text("P: resume   /: step one tick", width / 2, height / 2 + 18);
   pop();
 }
 
-// ---------------- System & Master AI ----------------
-
-function spawnSystem() {
-  resources = [];
-  resourceActive = [];
-  systemInitialTotal = 0;
-  systemRemainingTotal = 0;
+// ---------------- Time controls ----------------
 
-  initResGrid();
-
-  // Mixed distribution (uniform + clusters)
-  const clusters = [];
-  const CL = floor(rand(CLUSTER_COUNT_MIN, CLUSTER_COUNT_MAX + 1));
-  for (let i = 0; i < CL; i++) {
-    clusters.push({
-      x: rand(0, WORLD.w),
-      y: rand(0, WORLD.h),
-      spread: rand(CLUSTER_SPREAD_MIN, CLUSTER_SPREAD_MAX),
-      w: rand(0.6, 1.6),
-    });
-  }
+function changeSpeed(dir) {
+  const i = SIM_SPEEDS.indexOf(simClock.speed);
+  const speed = SIM_SPEEDS[constrain(i + dir, 0, SIM_SPEEDS.length - 1)];
+  simClock.speed = speed;
+  if (simWorker) simWorker.postMessage({ type: "speed", speed });
+  flashMessage(`Speed ${formatSpeed(speed)}`);
+}
 
-  let id = 0;
+// After a load or a new run: nothing owed from before, no fast-forward
+function resetClock() {
+  simClock.acc = 0;
+  simClock.ffwd = null;
+}
 
-  for (let i = 0; i < NUM_RES_COMMON; i++) {
-    const r = makeResource(id++, 0, clusters);
-    const idx = resources.length;
-    r._arrIndex = idx;
-    resources.push(r);
-    activateResource(idx);
-    systemInitialTotal += r.maxAmt;
+// Exactly one FIXED_DT, from pause (pausing first)
+function stepOnce() {
+  if (replayPlay && replaySeekTo >= 0) return;
+  if (!paused) setPaused(true);
+  if (simWorker) {
+    if (!replayPlay) sendWorkerInput();
+    simWorker.postMessage({ type: "step" });
+  } else if (!replayFinished()) {
+    if (!replayPlay) readPlayerInput();
+    simStep(FIXED_DT);
   }
+}
 
-  for (let i = 0; i < NUM_RES_RICH; i++) {
-    const r = makeResource(id++, 1, clusters);
-    const idx = resources.length;
-    r._arrIndex = idx;
-    resources.push(r);
-    activateResource(idx);
-    systemInitialTotal += r.maxAmt;
-  }
+function toggleFastForward() {
+  const on = !simClock.ffwd;
+  if (on && (replayFinished() || replaySeekTo >= 0)) return;
+  if (on && paused) setPaused(false);
+  if (simWorker) {
+    simClock.ffwd = on; // until the worker's next frame says so
+    simWorker.postMessage({ type: "ffwd", on });
+  } else if (on) startFastForward(simClock);
+  else simClock.ffwd = null;
+  flashMessage(on ? `Fast-forward to the next Master AI change or ${FAST_FORWARD_GROWTH}x the probes (V: stop)` : "Fast-forward off");
+}
 
-  systemRemainingTotal = systemInitialTotal;
+// The speed set, the speed achieved, and whether steps are being dropped, right-aligned at x
+function drawClockStatus(x, y) {
+  const c = simClock;
+  const set = c.ffwd ? "Fast-forward" : `Speed ${formatSpeed(c.speed)}`;
+  textSize(12);
+  textAlign(RIGHT, BASELINE);
+  if (c.dropping) fill(255, 150, 90);
+  else fill(200);
+  text(`${set}: ${formatSpeed(c.rate)}${c.dropping ? ", dropping steps" : ""}`, x, y);
+  textAlign(LEFT, BASELINE);
+}
 
-  // Precompute neighbor lists AFTER grid dims are known
-  buildNeighborLists();
+function formatSpeed(v) {
+  return `${+v.toFixed(v < 1 ? 2 : 1)}x`;
 }
 
-function masterUpdate(dt) {
-  if (dt <= 0) return;
+// ---------------- Warp Machine ----------------
 
-  if (master.state === "NORMAL") {
-    if (systemInitialTotal > 0) {
-      const remainingFrac = systemRemainingTotal / systemInitialTotal;
-      if (remainingFrac <= 1 - MASTER_TRIGGER_DEPLETION && probes.length >= 1) {
-        startRally();
-      }
-    }
-    return;
-  }
+function drawWarpMachine(wm, camX, camY) {
+  const dx = wrapDeltaFast(wm.x - camX, WORLD.w);
+  const dy = wrapDeltaFast(wm.y - camY, WORLD.h);
 
-  master.t += dt;
+  const pulse = 0.5 + 0.5 * sin(wm.pulse);
 
-  if (master.state === "RALLY") {
-    const alive = probes.length;
-    const arrived = countArrivedAtWaypointSq(RALLY_RADIUS2);
+  noFill();
+  stroke(200, 220, 255, 90);
+  strokeWeight(3);
+  circle(dx, dy, 220 + 18 * pulse);
 
-    const need = max(1, floor(alive * RALLY_FRACTION));
-    const timeoutOk = master.t >= RALLY_TIMEOUT && arrived >= max(1, floor(alive * 0.45));
+  stroke(255, 210, 120, 120);
+  strokeWeight(2);
+  circle(dx, dy, 170 + 14 * pulse);
 
-    if (arrived >= need || timeoutOk) startBuild();
-  } else if (master.state === "BUILD") {
-    if (master.sacrificed >= master.toSacrifice) startCharge();
-  } else if (master.state === "CHARGE") {
-    if (master.t >= WARP_CHARGE_TIME) performWarp();
-  }
-}
+  noStroke();
+  if (wm.mode === "BUILD") {
+    fill(255, 210, 120, 18);
+    circle(dx, dy, 140);
+    fill(255, 235, 200, 42);
+    circle(dx, dy, 80);
+  } else {
+    fill(120, 200, 255, 18);
+    circle(dx, dy, 260 + 40 * pulse);
 
-function startRally() {
-  master.state = "RALLY";
-  master.t = 0;
-  master.sacrificed = 0;
-  master.toSacrifice = 0;
-  master.warpMachine = null;
+    fill(160, 230, 255, 55);
+    circle(dx, dy, 160 + 22 * pulse);
 
-  master.waypoint = { x: rand(0, WORLD.w), y: rand(0, WORLD.h) };
+    fill(255, 255, 255, 60);
+    circle(dx, dy, 95 + 16 * pulse);
+  }
 
-  // Set waypoint for all probes (O(n), but only once per system)
-  for (let i = 0; i < probes.length; i++) probes[i].waypoint = master.waypoint;
+  push();
+  translate(dx, dy);
+  rotate(wm.spin);
+  stroke(255, 240, 200, wm.mode === "CHARGE" ? 150 : 100);
+  strokeWeight(2);
+  for (let i = 0; i < 8; i++) {
+    const a = (TWO_PI / 8) * i;
+    const r1 = 55;
+    const r2 = 115 + 10 * pulse;
+    line(cos(a) * r1, sin(a) * r1, cos(a) * r2, sin(a) * r2);
+  }
+  pop();
 }
 
-function startBuild() {
-  master.state = "BUILD";
-  master.t = 0;
-  master.sacrificed = 0;
-
-  if (!master.waypoint) master.waypoint = { x: WORLD.w * 0.5, y: WORLD.h * 0.5 };
-  master.warpMachine = new WarpMachine(master.waypoint.x, master.waypoint.y);
+// ---------------- Probe ----------------
 
-  // 50% of AI probes (never the player)
-  const ai = [];
-  for (let i = 0; i < probes.length; i++) {
-    const p = probes[i];
-    if (!p.isPlayer && !p.dead) ai.push(p);
+// Slot i of the probe store
+function drawProbeAt(i, px, py, simplify, camX, camY) {
+  const P = probes;
+  const r = PROBE_RADIUS;
+  const isPlayer = (P.flags[i] & PF_PLAYER) !== 0;
+  const sacrificing = (P.flags[i] & PF_SACRIFICING) !== 0;
+  const focused = P.id[i] === camFocus.id;
+
+  // Sacrifice beam (keep, but only for visible probes)
+  const m = factions[P.faction[i]].master;
+  const c = factions[P.faction[i]].color;
+  if (sacrificing && m.waypoint) {
+    const wx = wrapDeltaFast(m.waypoint.x - camX, WORLD.w);
+    const wy = wrapDeltaFast(m.waypoint.y - camY, WORLD.h);
+
+    const a = map(P.sacrificeT[i], 0, 1.25, 0, 120, true);
+    stroke(255, 210, 120, a);
+    strokeWeight(2);
+    line(px, py, wx, wy);
+    noStroke();
   }
 
-  const toSac = floor(ai.length * 0.10);
-  master.toSacrifice = toSac;
-  if (toSac <= 0) return;
-
-  // Select K closest WITHOUT full sort (quickselect) for better scaling
-  selectKClosestInPlace(ai, toSac, master.waypoint);
-
-  for (let i = 0; i < toSac; i++) ai[i].beginSacrifice(master.waypoint);
-}
+  // Visual LOD (mechanics unchanged)
+  if (simplify && !isPlayer && !focused) {
+    noStroke();
+    fill(c[0], c[1], c[2], sacrificing ? 110 : 170);
+    circle(px, py, 4);
+    if (focused) {
+      noFill();
+      stroke(255, 230, 120, 160);
+      strokeWeight(2);
+      circle(px, py, r * 3.2);
+    }
+    return;
+  }
 
-function startCharge() {
-  master.state = "CHARGE";
-  master.t = 0;
-  if (master.warpMachine) master.warpMachine.mode = "CHARGE";
-}
+  const fade = sacrificing ? map(P.sacrificeT[i], 0, 1.25, 0, 1, true) : 1;
 
-function performWarp() {
-  master.state = "WARP";
-  master.t = 0;
+  // Glow
+  noStroke();
+  if (isPlayer) fill(120, 255, 140, 38 * fade);
+  else fill(c[0], c[1], c[2], 28 * fade);
+  circle(px, py, r * 4.0);
 
-  systemIndex += 1;
-  spawnSystem();
+  // Ship
+  push();
+  translate(px, py);
+  rotate(P.heading[i]);
 
-  // Warp survivors to a fresh region
-  const cx = WORLD.w * 0.5;
-  const cy = WORLD.h * 0.5;
+  if (isPlayer) fill(120, 255, 140, 220 * fade);
+  else fill(c[0], c[1], c[2], 200 * fade);
 
-  for (let i = 0; i < probes.length; i++) {
-    const p = probes[i];
+  stroke(255, 80 * fade);
+  strokeWeight(1.2);
 
-    const a = rand(0, TWO_PI);
-    const m = rand(40, 560);
-    p.x = wrap01Fast(cx + cos(a) * m, WORLD.w);
-    p.y = wrap01Fast(cy + sin(a) * m, WORLD.h);
+  beginShape();
+  vertex(r * 1.35, 0);
+  vertex(-r * 0.9, r * 0.9);
+  vertex(-r * 0.55, 0);
+  vertex(-r * 0.9, -r * 0.9);
+  endShape(CLOSE);
 
-    const av = rand(0, TWO_PI);
-    const mv = rand(10, 70);
-    p.vx = cos(av) * mv;
-    p.vy = sin(av) * mv;
+  noStroke();
+  fill(255, 220 * fade);
+  circle(-r * 0.2, 0, r * 0.75);
 
-    // Reset behaviors
-    p.target = -1;
-    p.waypoint = null;
+  pop();
 
-    if (!p.isPlayer) {
-      p.radarCooldown = rand(0.2, 1.1);
-      p.wanderT = rand(0.2, 0.9);
-      p.heading = rand(0, TWO_PI);
+  // Optional target line (navigation after radar)
+  if (!isPlayer && m.state === "NORMAL" && P.target[i] >= 0) {
+    const tr = resources[P.target[i]];
+    if (tr && tr.amt > 0.001) {
+      const tx = wrapDeltaFast(tr.x - camX, WORLD.w);
+      const ty = wrapDeltaFast(tr.y - camY, WORLD.h);
+      stroke(160, 210, 255, 18);
+      line(px, py, tx, ty);
+      noStroke();
     }
-
-    p.replCooldown = max(p.replCooldown, 0.5);
   }
 
-  master.waypoint = null;
-  master.warpMachine = null;
+  // Focus ring
+  if (focused) {
+    noFill();
+    stroke(255, 230, 120, 160);
+    strokeWeight(2);
+    circle(px, py, r * 3.2);
+  }
+}
 
-  master.state = "NORMAL";
-  master.t = 0;
+// ---------------- Input ----------------
 
-  camFocus = player;
+// Keyboard -> sim.js playerInput (read once per fixed step)
+function readPlayerInput() {
+  let ax = 0,
+    ay = 0;
+  if (keyIsDown(LEFT_ARROW) || keyIsDown(65)) ax -= 1;
+  if (keyIsDown(RIGHT_ARROW) || keyIsDown(68)) ax += 1;
+  if (keyIsDown(UP_ARROW) || keyIsDown(87)) ay -= 1;
+  if (keyIsDown(DOWN_ARROW) || keyIsDown(83)) ay += 1;
+
+  playerInput.ax = ax;
+  playerInput.ay = ay;
+  playerInput.boost = keyIsDown(SHIFT);
 }
 
-function countArrivedAtWaypointSq(radiusSq) {
-  if (!master.waypoint) return 0;
-  const wx = master.waypoint.x,
-    wy = master.waypoint.y;
+function keyPressed() {
+  if (key === "p" || key === "P") setPaused(!paused);
+  if (key === "-" || key === "_") changeSpeed(-1);
+  if (key === "=" || key === "+") changeSpeed(1);
+  if (key === "/") stepOnce();
+  if (key === "v" || key === "V") toggleFastForward();
+
+  if ((key === " " || key === "r" || key === "R") && !paused && !replayPlay) playerInput.replicate = true;
 
-  let c = 0;
-  for (let i = 0; i < probes.length; i++) {
-    const p = probes[i];
-    if (p.dead) continue;
-    const dx = wrapDeltaFast(wx - p.x, WORLD.w);
-    const dy = wrapDeltaFast(wy - p.y, WORLD.h);
-    if (dx * dx + dy * dy <= radiusSq) c++;
+  if (key === "c" || key === "C") {
+    simCall([["cycleFocus"]]);
+    lineageSubject = null;
   }
-  return c;
-}
 
-// ---------------- Mechanics ----------------
+  if (key === "k" || key === "K") saveToSlot();
+  if (key === "l" || key === "L") loadFromSlot();
+  if (key === "n" || key === "N") {
+    saveSlot = (saveSlot % SAVE_SLOTS) + 1;
+    flashMessage(`Save slot ${saveSlot}`);
+  }
+  if (key === "j" || key === "J") downloadSnapshot();
+  if (key === "o" || key === "O") openJsonFile(applySnapshot);
 
-function replicateCost() {
-  return 100;
-}
+  if (key === "e" || key === "E") simCall([["telemetryCSV"]], (lines) => saveStrings(lines, `vnp-telemetry-seed${simSeed}`, "csv"));
+  if (key === "x" || key === "X") simCall([["telemetryJSON"]], (json) => saveJSON(json, `vnp-telemetry-seed${simSeed}.json`));
 
-// Quickselect partition to get K closest probes (no full sort)
-function selectKClosestInPlace(arr, k, wp) {
-  const wx = wp.x,
-    wy = wp.y;
+  if (key === "f" || key === "F") openJsonFile(restartWithConfig);
 
-  // cache distances on objects to avoid recomputing during partition swaps
-  for (let i = 0; i < arr.length; i++) {
-    const p = arr[i];
-    const dx = wrapDeltaFast(p.x - wx, WORLD.w);
-    const dy = wrapDeltaFast(p.y - wy, WORLD.h);
-    p._d2tmp = dx * dx + dy * dy;
+  if (key === "g" || key === "G") chartMode = (chartMode + 1) % CHART_MODES.length;
+  // Histograms and the lineage viewer share the left side of the screen
+  if (key === "h" || key === "H") {
+    showHistograms = !showHistograms;
+    showLineage = false;
   }
-
-  let left = 0,
-    right = arr.length - 1;
-  while (true) {
-    if (left >= right) return;
-    const pivotIndex = partitionByD2(arr, left, right, (left + right) >> 1);
-    if (k - 1 === pivotIndex) return;
-    if (k - 1 < pivotIndex) right = pivotIndex - 1;
-    else left = pivotIndex + 1;
+  if (key === "t" || key === "T") {
+    showLineage = !showLineage;
+    showHistograms = false;
+    lineageSubject = null;
   }
-}
-
-function partitionByD2(arr, left, right, pivotIndex) {
-  const pivotValue = arr[pivotIndex]._d2tmp;
-  swap(arr, pivotIndex, right);
-  let storeIndex = left;
-  for (let i = left; i < right; i++) {
-    if (arr[i]._d2tmp < pivotValue) {
-      swap(arr, storeIndex, i);
-      storeIndex++;
-    }
+  if (showLineage && key === "[") lineageDepth = max(0, lineageDepth - 1);
+  if (showLineage && key === "]") lineageDepth++;
+  if (key === "m" || key === "M") {
+    if (galaxy) showGalaxyMap = !showGalaxyMap;
+    else flashMessage("No galaxy in this run (?galaxy=1)");
   }
-  swap(arr, right, storeIndex);
-  return storeIndex;
-}
 
-function swap(arr, i, j) {
-  const t = arr[i];
-  arr[i] = arr[j];
-  arr[j] = t;
+  if (key === "y" || key === "Y") downloadReplay();
+  if (key === "u" || key === "U") openJsonFile(playReplay);
+  if (key === "b" || key === "B") toggleRewind();
+  if (showRewind && !replayPlay) {
+    if (key === ",") rewindStep(-1);
+    if (key === ".") rewindStep(1);
+  }
+  if (replayPlay) {
+    if (key === ",") replaySeek(replayPlay.step - REPLAY_SEEK_STEPS);
+    if (key === ".") replaySeek(replayPlay.step + REPLAY_SEEK_STEPS);
+    if (keyCode === ESCAPE) leaveReplay();
+  }
 }
 
-function pickWeightedCluster(clusters) {
-  let sum = 0;
-  for (let i = 0; i < clusters.length; i++) sum += clusters[i].w;
-
-  let r = rand(0, sum);
-  for (let i = 0; i < clusters.length; i++) {
-    r -= clusters[i].w;
-    if (r <= 0) return clusters[i];
+function mousePressed() {
+  if (galaxyMapClick(mouseX, mouseY)) return;
+  if (lineageClick(mouseX, mouseY)) return;
+  if (rewindClick(mouseX, mouseY)) return;
+  if (replayPlay && mouseY >= replayBarY() - 6 && mouseY <= replayBarY() + REPLAY_BAR_H + 6) {
+    const t = constrain((mouseX - REPLAY_BAR_X) / replayBarW(), 0, 1);
+    replaySeek(round(t * replayPlay.replay.steps));
   }
-  return clusters[clusters.length - 1];
 }
 
-function makeResource(id, kind, clusters) {
-  const clusterProb = kind === 0 ? CLUSTER_PROB_COMMON : CLUSTER_PROB_RICH;
-  const useCluster = clusters && clusters.length && Math.random() < clusterProb;
+function mouseWheel(e) {
+  const factor = 1 - e.delta * 0.0012;
+  zoom *= factor;
+  zoom = constrain(zoom, 0.35, 2.2);
+  return false;
+}
 
-  let x, y;
+// ---------------- Save / Load ----------------
 
-  if (!useCluster) {
-    x = rand(0, WORLD.w);
-    y = rand(0, WORLD.h);
-  } else {
-    const cl = pickWeightedCluster(clusters);
+const SAVE_SLOTS = 4;
+const SAVE_KEY_PREFIX = "vnp.save.";
+let saveSlot = 1;
 
-    // randomGaussian() is only used at spawn-time (not hot path)
-    const dx = randomGaussian() * cl.spread;
-    const dy = randomGaussian() * cl.spread;
+function saveToSlot() {
+  const slot = saveSlot;
+  simCall([["serializeSim"]], (snap) => {
+    try {
+      localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(snap));
+      flashMessage(`Saved to slot ${slot}`);
+    } catch (e) {
+      flashMessage(`Save failed: ${e.message}`); // usually the localStorage quota
+    }
+  });
+}
 
-    x = wrap01Fast(cl.x + dx, WORLD.w);
-    y = wrap01Fast(cl.y + dy, WORLD.h);
+function loadFromSlot() {
+  const raw = localStorage.getItem(SAVE_KEY_PREFIX + saveSlot);
+  if (!raw) {
+    flashMessage(`Slot ${saveSlot} is empty`);
+    return;
   }
+  let snap;
+  try {
+    snap = JSON.parse(raw);
+  } catch (e) {
+    flashMessage(`Slot ${saveSlot} can't be read: ${e.message}`);
+    return;
+  }
+  applySnapshot(snap);
+}
 
-  const maxAmt = kind === 0 ? rand(18, 110) : rand(140, 420);
-
-  return {
-    id,
-    kind,
-    x,
-    y,
-    amt: maxAmt,
-    maxAmt,
-    radius: RESOURCE_BASE_R + sqrt(maxAmt) * (kind === 0 ? 0.52 : 0.62),
-    active: false,
-    activeIndex: -1,
-    _arrIndex: -1,
-    _gridCell: -1,
-    _gridIndex: -1,
-  };
+function downloadSnapshot() {
+  simCall([["serializeSim"]], (snap) => saveJSON(snap, `vnp-seed${snap.seed}-system${snap.systemIndex}.json`, true));
 }
 
-function activateResource(idx) {
-  const r = resources[idx];
-  r.active = true;
-  r.activeIndex = resourceActive.length;
-  resourceActive.push(idx);
-  gridAddResource(idx);
+function applySnapshot(snap) {
+  simCall(
+    [["restoreSim", snap], ["startRecording"], ["startRewind"]],
+    () => {
+      resetClock();
+      makeStars();
+      flashMessage(`Loaded system ${systemIndex} (${localPopulation()} probes)`);
+    },
+    (e) => flashMessage(`Load failed: ${e.message}`)
+  );
 }
 
-function deactivateResource(idx) {
-  const r = resources[idx];
-  if (!r.active) return;
+// ---------------- Replay ----------------
 
-  gridRemoveResource(idx);
+// Every live step is recorded (sim.js startRecording); Y downloads it, U plays one back.
+const REPLAY_SEEK_STEPS = Math.round(10 / FIXED_DT); // , and . jump 10 sim-seconds
+const REPLAY_SEEK_BUDGET_MS = 30; // per frame while seeking
+const REPLAY_BAR_X = 20;
+const REPLAY_BAR_H = 10;
+let replaySeekTo = -1; // target replay step while seeking, -1 otherwise
 
-  const ai = r.activeIndex;
-  const last = resourceActive.length - 1;
-  const lastIdx = resourceActive[last];
+function downloadReplay() {
+  simCall([["exportReplay"]], (rep) => {
+    if (!rep) {
+      flashMessage("Nothing recorded (replays are not re-recorded)");
+      return;
+    }
+    saveJSON(rep, `vnp-replay-seed${rep.seed}-${rep.steps}steps.json`, true);
+  });
+}
 
-  resourceActive[ai] = lastIdx;
-  resources[lastIdx].activeIndex = ai;
+function playReplay(rep) {
+  simCall(
+    [["beginPlayback", rep]],
+    () => {
+      resetClock();
+      replaySeekTo = -1;
+      setPaused(false);
+      makeStars();
+      flashMessage(`Playing replay (seed ${rep.seed}, ${formatSimTime(rep.steps * FIXED_DT)})`);
+    },
+    (e) => flashMessage(`Replay failed: ${e.message}`)
+  );
+}
 
-  resourceActive.pop();
-  r.active = false;
-  r.activeIndex = -1;
+// Backwards seeks restart from the replay's start and fast-forward
+function replaySeek(step) {
+  const rp = replayPlay;
+  step = constrain(step, 0, rp.replay.steps);
+  replaySeekTo = step;
+  if (simWorker) simWorker.postMessage({ type: "seek", step });
+  else if (step < rp.step) beginPlayback(rp.replay);
 }
 
-function makeDNA(playerish) {
-  return {
-    maxSpeed: playerish ? 260 : rand(190, 260),
-    accel: playerish ? 520 : rand(360, 520),
-    harvest: playerish ? 22 : rand(16, 26),
-  };
+function advanceReplaySeek() {
+  const t0 = millis();
+  while (replayPlay.step < replaySeekTo && millis() - t0 < REPLAY_SEEK_BUDGET_MS) simStep(FIXED_DT);
+  if (replayPlay.step >= replaySeekTo) {
+    replaySeekTo = -1;
+    resetClock();
+  }
 }
 
-function mutateDNA(dna) {
-  const m = {
-    maxSpeed: dna.maxSpeed * rand(0.97, 1.03),
-    accel: dna.accel * rand(0.96, 1.04),
-    harvest: dna.harvest * rand(0.95, 1.06),
-  };
+// Take over from the current replay position and keep playing live
+function leaveReplay() {
+  simCall([["endPlayback"], ["startRecording"], ["startRewind"]]);
+  replaySeekTo = -1;
+  workerInputSent = ""; // the worker still holds the replay's last input
+  setPaused(false);
+  flashMessage("Replay ended, live control");
+}
 
-  m.maxSpeed = constrain(m.maxSpeed, 140, 320);
-  m.accel = constrain(m.accel, 260, 700);
-  m.harvest = constrain(m.harvest, 8, 40);
+function replayBarY() {
+  return height - 60;
+}
 
-  return m;
+function replayBarW() {
+  return width - REPLAY_BAR_X * 2;
 }
 
-// ---------------- Warp Machine ----------------
+function drawReplayBar() {
+  const rp = replayPlay;
+  push();
+  resetMatrix();
+  const x = REPLAY_BAR_X,
+    y = replayBarY(),
+    w = replayBarW();
+  const total = max(1, rp.replay.steps);
+  const shown = replaySeekTo >= 0 ? replaySeekTo : rp.step;
 
-class WarpMachine {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.spin = rand(0, TWO_PI);
-    this.mode = "BUILD";
-    this.pulse = 0;
-  }
+  noStroke();
+  fill(0, 170);
+  rect(x - 8, y - 26, w + 16, REPLAY_BAR_H + 34, 10);
 
-  update(dt) {
-    if (dt <= 0) return;
-    this.spin += dt * (this.mode === "CHARGE" ? 1.6 : 0.8);
-    this.pulse += dt * 2.2;
+  fill(255, 35);
+  rect(x, y, w, REPLAY_BAR_H, 5);
+  fill(255, 210, 120, 200);
+  rect(x, y, w * (rp.step / total), REPLAY_BAR_H, 5);
+  if (replaySeekTo >= 0) {
+    fill(255, 255, 255, 200);
+    rect(x + w * (shown / total) - 1, y - 3, 2, REPLAY_BAR_H + 6);
   }
 
-  draw(camX, camY) {
-    const dx = wrapDeltaFast(this.x - camX, WORLD.w);
-    const dy = wrapDeltaFast(this.y - camY, WORLD.h);
-
-    const pulse = 0.5 + 0.5 * sin(this.pulse);
-
-    noFill();
-    stroke(200, 220, 255, 90);
-    strokeWeight(3);
-    circle(dx, dy, 220 + 18 * pulse);
-
-    stroke(255, 210, 120, 120);
-    strokeWeight(2);
-    circle(dx, dy, 170 + 14 * pulse);
-
-    noStroke();
-    if (this.mode === "BUILD") {
-      fill(255, 210, 120, 18);
-      circle(dx, dy, 140);
-      fill(255, 235, 200, 42);
-      circle(dx, dy, 80);
-    } else {
-      fill(120, 200, 255, 18);
-      circle(dx, dy, 260 + 40 * pulse);
+  fill(255, 230, 150);
+  textSize(12);
+  const state = replaySeekTo >= 0 ? "seeking" : paused ? "paused" : "playing";
+  text(
+    `REPLAY ${formatSimTime(shown * FIXED_DT)} / ${formatSimTime(rp.replay.steps * FIXED_DT)} (${state})   ` +
+      "P: play/pause   , .: seek 10s   click: seek   Esc: take control",
+    x,
+    y - 8
+  );
+  pop();
+}
 
-      fill(160, 230, 255, 55);
-      circle(dx, dy, 160 + 22 * pulse);
+// ---------------- Rewind ----------------
 
-      fill(255, 255, 255, 60);
-      circle(dx, dy, 95 + 16 * pulse);
-    }
+// The sim keeps a snapshot every REWIND_INTERVAL sim-seconds or more (sim.js Rewind); B pauses and
+// opens a timeline of them, and going to one resumes the run from there once unpaused.
+let showRewind = false;
+let rewindLine = null; // sim.js rewindTimeline() while the timeline is open (always, from the worker)
 
-    push();
-    translate(dx, dy);
-    rotate(this.spin);
-    stroke(255, 240, 200, this.mode === "CHARGE" ? 150 : 100);
-    strokeWeight(2);
-    for (let i = 0; i < 8; i++) {
-      const a = (TWO_PI / 8) * i;
-      const r1 = 55;
-      const r2 = 115 + 10 * pulse;
-      line(cos(a) * r1, sin(a) * r1, cos(a) * r2, sin(a) * r2);
-    }
-    pop();
+function toggleRewind() {
+  if (replayPlay) {
+    flashMessage("Replays seek with , and . instead");
+    return;
   }
+  showRewind = !showRewind;
+  setPaused(showRewind);
 }
 
-// ---------------- Probe ----------------
-
-let _probeId = 1;
-
-class Probe {
-  constructor(x, y, isPlayer, dna) {
-    this.id = isPlayer ? 0 : _probeId++;
-    this.isPlayer = isPlayer;
-
-    this.x = x;
-    this.y = y;
-
-    const a = rand(0, TWO_PI);
-    this.vx = cos(a) * 20;
-    this.vy = sin(a) * 20;
-
-    this.heading = rand(0, TWO_PI);
-    this.resources = isPlayer ? 0 : rand(0, 8);
-
-    this.dna = dna;
-
-    // AI state
-    this.target = -1; // resource index (NOT object reference) for faster access
-    this.radarCooldown = rand(0.2, 1.2);
-    this.wanderT = rand(0.2, 1.2);
-    this.replCooldown = 0;
-
-    // Master AI
-    this.waypoint = null;
-
-    // Sacrifice
-    this.sacrificing = false;
-    this.sacrificeT = 0;
-    this.dead = false;
-  }
-
-  update(dt) {
-    if (this.dead || dt <= 0) return;
-
-    if (this.sacrificing) this.sacrificeBehavior(dt);
-    else if (this.isPlayer) this.playerControl(dt);
-    else this.aiControl(dt);
-
-    // Integrate
-    this.x += this.vx * dt;
-    this.y += this.vy * dt;
-
-    // Damping (dt is fixed, so use fast constant)
-    // Equivalent to vel *= pow(0.35, dt), but precomputed for FIXED_DT
-    const damp = DAMP_FACTOR;
-    this.vx *= damp;
-    this.vy *= damp;
-
-    // Wrap (fast: positions never jump by more than world size)
-    this.x = wrap01Fast(this.x, WORLD.w);
-    this.y = wrap01Fast(this.y, WORLD.h);
-  }
-
-  playerControl(dt) {
-    let ax = 0,
-      ay = 0;
-    if (keyIsDown(LEFT_ARROW) || keyIsDown(65)) ax -= 1;
-    if (keyIsDown(RIGHT_ARROW) || keyIsDown(68)) ax += 1;
-    if (keyIsDown(UP_ARROW) || keyIsDown(87)) ay -= 1;
-    if (keyIsDown(DOWN_ARROW) || keyIsDown(83)) ay += 1;
-
-    const boost = keyIsDown(SHIFT) ? 1.55 : 1.0;
-
-    // Light autopilot during Master event when no input
-    const masterActive = master.state !== "NORMAL" && master.waypoint;
-    if (masterActive && ax === 0 && ay === 0) {
-      const dx = wrapDeltaFast(master.waypoint.x - this.x, WORLD.w);
-      const dy = wrapDeltaFast(master.waypoint.y - this.y, WORLD.h);
-      const d2 = dx * dx + dy * dy;
-      if (d2 > 1e-6) {
-        const inv = 1 / sqrt(d2);
-        const ux = dx * inv,
-          uy = dy * inv;
-        const accel = this.dna.accel * 0.85;
-        this.vx += ux * accel * dt;
-        this.vy += uy * accel * dt;
-        this.heading = atan2(uy, ux);
-      }
-    }
+// The point before (dir -1) or after (dir 1) now
+function rewindStep(dir) {
+  const ticks = rewindLine ? rewindLine.ticks : [];
+  let k = -1;
+  if (dir < 0) for (let i = 0; i < ticks.length; i++) if (ticks[i] < simTick) k = i;
+  if (dir > 0) for (let i = ticks.length - 1; i >= 0; i--) if (ticks[i] > simTick) k = i;
+  if (k >= 0) rewindGo(k);
+}
 
-    if (ax !== 0 || ay !== 0) {
-      const mag = sqrt(ax * ax + ay * ay);
-      const ux = ax / mag,
-        uy = ay / mag;
-      const accel = this.dna.accel * boost;
-      this.vx += ux * accel * dt;
-      this.vy += uy * accel * dt;
-      this.heading = atan2(uy, ux);
-    }
+function rewindGo(k) {
+  const t = rewindLine.ticks[k];
+  simCall(
+    [["rewindTo", k], ["startRecording"]],
+    () => {
+      resetClock();
+      flashMessage(`Back at ${formatSimTime(t * FIXED_DT)}`);
+    },
+    (e) => flashMessage(`Rewind failed: ${e.message}`)
+  );
+}
 
-    const ms = this.dna.maxSpeed * boost;
-    clampVel(this, ms);
-  }
+// The timeline spans the oldest point to now (past the newest point until the next capture)
+function rewindSpan() {
+  const ticks = rewindLine.ticks;
+  const t0 = ticks[0];
+  return [t0, max(t0 + 1, ticks[ticks.length - 1], simTick)];
+}
 
-  aiControl(dt) {
-    this.replCooldown = max(0, this.replCooldown - dt);
+function rewindClick(mx, my) {
+  if (!showRewind || replayPlay || !rewindLine || rewindLine.ticks.length === 0) return false;
+  if (my < replayBarY() - 6 || my > replayBarY() + REPLAY_BAR_H + 6) return false;
+  const [t0, t1] = rewindSpan();
+  const t = t0 + constrain((mx - REPLAY_BAR_X) / replayBarW(), 0, 1) * (t1 - t0);
+  const ticks = rewindLine.ticks;
+  let k = 0;
+  for (let i = 1; i < ticks.length; i++) if (abs(ticks[i] - t) < abs(ticks[k] - t)) k = i;
+  rewindGo(k);
+  return true;
+}
 
-    // Master override
-    const masterActive = master.state !== "NORMAL" && master.waypoint;
-    if (masterActive) {
-      this.waypoint = master.waypoint;
-      this.steerToWaypoint(dt);
-      return;
-    }
+function drawRewindBar() {
+  if (replayPlay || !rewindLine || rewindLine.ticks.length === 0) return;
+  const ticks = rewindLine.ticks;
+  const [t0, t1] = rewindSpan();
+  push();
+  resetMatrix();
+  const x = REPLAY_BAR_X,
+    y = replayBarY(),
+    w = replayBarW();
+  const at = (t) => x + (w * (t - t0)) / (t1 - t0);
 
-    // If we have a target, chase it
-    if (this.target >= 0) {
-      const r = resources[this.target];
-      if (r && r.amt > 0.001) {
-        this.chaseTarget(dt, r);
-
-        // Drop target if absurdly far
-        const dx = wrapDeltaFast(r.x - this.x, WORLD.w);
-        const dy = wrapDeltaFast(r.y - this.y, WORLD.h);
-        const d2 = dx * dx + dy * dy;
-        if (d2 > RADAR_RANGE2 * 3.2) this.target = -1;
-        return;
-      } else {
-        this.target = -1;
-      }
-    }
+  noStroke();
+  fill(0, 170);
+  rect(x - 8, y - 26, w + 16, REPLAY_BAR_H + 34, 10);
 
-    // No target: radar-wander loop
-    this.radarCooldown -= dt;
-    this.wanderT = max(0, this.wanderT - dt);
-
-    if (this.radarCooldown <= 0) {
-      const foundIdx = this.radarPing();
-      if (foundIdx >= 0) {
-        this.target = foundIdx;
-        this.radarCooldown = rand(RADAR_COOLDOWN_MIN, RADAR_COOLDOWN_MAX);
-        return;
-      }
-
-      // Miss: wander a bit, then ping again
-      this.heading = rand(0, TWO_PI);
-      this.wanderT = rand(WANDER_MIN, WANDER_MAX);
-      this.radarCooldown = this.wanderT + rand(RADAR_COOLDOWN_MIN, RADAR_COOLDOWN_MAX);
-    }
+  fill(255, 35);
+  rect(x, y, w, REPLAY_BAR_H, 5);
+  fill(150, 190, 255, 200);
+  for (let i = 0; i < ticks.length; i++) rect(at(ticks[i]) - 1, y + 2, 2, REPLAY_BAR_H - 4);
+  fill(255, 255, 255, 220);
+  rect(at(constrain(simTick, t0, t1)) - 1, y - 3, 2, REPLAY_BAR_H + 6);
 
-    if (this.wanderT <= 0 && Math.random() < 0.03) this.heading += rand(-0.7, 0.7);
+  fill(190, 215, 255);
+  textSize(12);
+  const mb = rewindLine.bytes / (1024 * 1024);
+  text(
+    `REWIND ${formatSimTime(simTime())}   ${ticks.length} points from ${formatSimTime(t0 * FIXED_DT)}, ` +
+      `every ${rewindLine.interval} s (${mb.toFixed(1)} MB)   ` +
+      ", .: previous/next point   click: go to   P: play/pause   B: close",
+    x,
+    y - 8
+  );
+  pop();
+}
 
-    const ux = cos(this.heading),
-      uy = sin(this.heading);
-    const accel = this.dna.accel * 0.33;
-    this.vx += ux * accel * dt;
-    this.vy += uy * accel * dt;
+function formatSimTime(sec) {
+  const s = floor(sec);
+  return `${floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
 
-    clampVel(this, this.dna.maxSpeed);
-  }
+// ---------------- Growth chart ----------------
 
-  radarPing() {
-    if (resourceActive.length <= 0) return -1;
+// Probe count over sim time (telemetry samples), linear or log, against the resource-unlimited
+// exponential from theoreticalGrowth() (searching included). The theory curve restarts at each
+// system's first sample, so the gap between the two shows what resource limits (RALLY marker)
+// and warps cost.
+const CHART_MODES = ["off", "linear", "log"];
+const CHART_W = 368;
+const CHART_H = 226;
+const CHART_FIT_WINDOW = 60; // sim-seconds used for the measured doubling time
+let chartMode = 0;
 
-    const ci = cellIndexForPos(this.x, this.y);
-    const neigh = radarCellNeighbors[ci];
+function drawGrowthChart() {
+  if (CHART_MODES[chartMode] === "off") return;
+  const logScale = CHART_MODES[chartMode] === "log";
+  const samples = telemetry.samples;
 
-    let bestIdx = -1;
-    let bestD2 = Infinity;
+  const x = width - CHART_W - 12;
+  const y = 204;
 
-    for (let n = 0; n < neigh.length; n++) {
-      const cell = resGrid[neigh[n]];
-      for (let k = 0; k < cell.length; k++) {
-        const ridx = cell[k];
-        const r = resources[ridx];
-        if (!r || r.amt <= 0.001) continue;
+  noStroke();
+  fill(0, 170);
+  rect(x, y, CHART_W, CHART_H, 12);
 
-        const dx = wrapDeltaFast(r.x - this.x, WORLD.w);
-        const dy = wrapDeltaFast(r.y - this.y, WORLD.h);
-        const d2 = dx * dx + dy * dy;
+  fill(255);
+  textSize(12);
+  textAlign(LEFT, BASELINE);
+  text(`Probe count (${logScale ? "log" : "linear"})   G: ${CHART_MODES[(chartMode + 1) % CHART_MODES.length]}`, x + 12, y + 18);
 
-        if (d2 <= RADAR_RANGE2 && d2 < bestD2) {
-          bestD2 = d2;
-          bestIdx = ridx;
-        }
-      }
-    }
+  const px = x + 46,
+    py = y + 28,
+    pw = CHART_W - 58,
+    ph = CHART_H - 86;
 
-    return bestIdx;
+  if (samples.length < 2) {
+    fill(200);
+    text("Collecting samples (one per sim-second)...", px, py + ph / 2);
+    return;
   }
 
-  chaseTarget(dt, r) {
-    const dx = wrapDeltaFast(r.x - this.x, WORLD.w);
-    const dy = wrapDeltaFast(r.y - this.y, WORLD.h);
+  // Axes
+  const t0 = samples[0].t;
+  const t1 = max(t0 + 10, samples[samples.length - 1].t);
+  let maxPop = 1;
+  for (let i = 0; i < samples.length; i++) maxPop = max(maxPop, samples[i].population);
+  const yTop = logScale ? log10(maxPop * 2) : maxPop * 1.1;
 
-    const d2 = dx * dx + dy * dy;
-    if (d2 < 1e-6) return;
+  const sx = (t) => px + ((t - t0) / (t1 - t0)) * pw;
+  const sy = (n) => py + ph - constrain((logScale ? log10(max(n, 1)) : n) / yTop, 0, 1) * ph;
 
-    const dist = sqrt(d2);
-    const ux = dx / dist,
-      uy = dy / dist;
-
-    const slow = map(dist, 0, 240, 0.2, 1.0, true);
-    const accel = this.dna.accel * 0.78 * slow;
-
-    this.vx += ux * accel * dt;
-    this.vy += uy * accel * dt;
+  stroke(255, 60);
+  strokeWeight(1);
+  line(px, py, px, py + ph);
+  line(px, py + ph, px + pw, py + ph);
 
-    this.heading = atan2(uy, ux);
-    clampVel(this, this.dna.maxSpeed);
+  noStroke();
+  fill(180);
+  textSize(10);
+  textAlign(RIGHT, CENTER);
+  if (logScale) {
+    for (let e = 0; e <= floor(yTop); e++) text(nf(pow(10, e), 0, 0), px - 4, sy(pow(10, e)));
+  } else {
+    text(nf(maxPop, 0, 0), px - 4, sy(maxPop));
+    text("0", px - 4, sy(0));
   }
+  textAlign(CENTER, TOP);
+  text(formatSimTime(t0), px, py + ph + 3);
+  text(formatSimTime(t1), px + pw, py + ph + 3);
 
-  steerToWaypoint(dt) {
-    if (!this.waypoint) return;
+  // Resources remaining in the current system (0..100% of plot height)
+  stroke(120, 200, 120, 70);
+  noFill();
+  beginShape();
+  const stride = max(1, floor(samples.length / pw));
+  for (let i = 0; i < samples.length; i += stride) vertex(sx(samples[i].t), py + ph - samples[i].remainingFrac * ph);
+  endShape();
+
+  // Resource limit (Master AI rally) and warp markers
+  const tr = telemetry.transitions;
+  for (let i = 0; i < tr.length; i++) {
+    if (tr[i].t < t0 || tr[i].faction) continue;
+    if (tr[i].to === "RALLY") stroke(255, 170, 80, 150);
+    else if (tr[i].to === "WARP") stroke(120, 200, 255, 170);
+    else continue;
+    const mx = sx(tr[i].t);
+    line(mx, py, mx, py + ph);
+  }
 
-    const dx = wrapDeltaFast(this.waypoint.x - this.x, WORLD.w);
-    const dy = wrapDeltaFast(this.waypoint.y - this.y, WORLD.h);
-    const d2 = dx * dx + dy * dy;
-    if (d2 < 1) return;
+  // Observed
+  stroke(140, 200, 255, 230);
+  strokeWeight(1.5);
+  beginShape();
+  for (let i = 0; i < samples.length; i += stride) vertex(sx(samples[i].t), sy(samples[i].population));
+  vertex(sx(samples[samples.length - 1].t), sy(samples[samples.length - 1].population));
+  endShape();
+
+  // Theory: unlimited-resource exponential from each system's first sample, until the next system starts
+  stroke(255, 230, 150, 210);
+  strokeWeight(2);
+  let lastTheory = null;
+  for (let i = 0; i < samples.length; i++) {
+    const a = samples[i];
+    if (i > 0 && samples[i - 1].system === a.system) continue;
+
+    let end = i;
+    while (end + 1 < samples.length && samples[end + 1].system === a.system) end++;
+
+    const g = theoreticalGrowth(sampleHarvestMean(a), playerCost());
+    lastTheory = g;
+    for (let t = a.t; t <= samples[end].t; t += (t1 - t0) / pw * 3) {
+      const n = a.population * exp(g.rate * (t - a.t));
+      if (n > (logScale ? pow(10, yTop) : yTop)) break;
+      point(sx(t), sy(n));
+    }
+  }
 
-    const dist = sqrt(d2);
-    const ux = dx / dist,
-      uy = dy / dist;
+  // Doubling times
+  const measured = measuredDoublingTime(samples, CHART_FIT_WINDOW);
+  noStroke();
+  textAlign(LEFT, BASELINE);
+  textSize(12);
+  fill(140, 200, 255);
+  text(`Measured doubling: ${formatDoubling(measured)} (last ${CHART_FIT_WINDOW}s)`, x + 12, py + ph + 30);
+  fill(255, 230, 150);
+  text(`Theoretical doubling: ${formatDoubling(lastTheory.doubling)}`, x + 12, py + ph + 46);
+  fill(180);
+  textSize(10);
+  text(
+    `cost ${lastTheory.cost.toFixed(0)}, harvest ${lastTheory.harvest.toFixed(1)}/s (${(lastTheory.duty * 100).toFixed(0)}% duty), ` +
+      `child start ${CHILD_START_RES}   ` +
+      "orange: rally  blue: warp  green: res. left",
+    x + 12,
+    py + ph + 62
+  );
+}
 
-    const slow = map(dist, 0, 420, 0.25, 1.0, true);
-    const accel = this.dna.accel * 0.75 * slow;
+// Mean AI harvest rate in a sample (player's rate when there are no AI probes yet)
+function sampleHarvestMean(s) {
+  return s.population > 1 ? s.dna.harvest.mean : player.dna.harvest;
+}
 
-    this.vx += ux * accel * dt;
-    this.vy += uy * accel * dt;
-    this.heading = atan2(uy, ux);
+function formatDoubling(sec) {
+  return isFinite(sec) ? `${sec.toFixed(1)}s` : "n/a";
+}
 
-    clampVel(this, this.dna.maxSpeed);
+// ---------------- Gene histograms ----------------
+
+// Distribution of every gene across the AI probes, each on its configured [min, max] bounds,
+// with the population mean marked. Recomputed a few times per second (visual-only).
+const HIST_BINS = 24;
+const HIST_CELL_W = 184;
+const HIST_CELL_H = 62;
+const HIST_REFRESH_FRAMES = 15;
+let showHistograms = false;
+let histCache = null;
+let histFrame = -Infinity;
+
+function drawGeneHistograms() {
+  if (!showHistograms) return;
+  if (!histCache || frameCount - histFrame >= HIST_REFRESH_FRAMES) {
+    histFrame = frameCount;
+    simCall([["dnaHistograms", HIST_BINS]], (h) => (histCache = h));
+    if (!histCache) return; // the worker's answer comes in a later frame
   }
 
-  harvest(dt) {
-    if (this.dead || dt <= 0) return;
-    if (resourceActive.length <= 0) return;
-
-    // 1) If touching current target, harvest it.
-    if (this.target >= 0) {
-      const r = resources[this.target];
-      if (r && r.amt > 0.001) {
-        const dx = wrapDeltaFast(r.x - this.x, WORLD.w);
-        const dy = wrapDeltaFast(r.y - this.y, WORLD.h);
-        const touch = PROBE_RADIUS + r.radius + TOUCH_PAD;
-        if (dx * dx + dy * dy <= touch * touch) {
-          this._harvestFrom(this.target, dt);
-          return;
-        }
-      } else {
-        this.target = -1;
-      }
-    }
+  const x = 10,
+    y = 256;
+  const cols = 2;
+  const rows = ceil(DNA_TRAITS.length / cols);
 
-    // 2) Otherwise, check nearby cells for any touching resource.
-    const ci = cellIndexForPos(this.x, this.y);
-    const neigh = harvestCellNeighbors[ci];
+  noStroke();
+  fill(0, 170);
+  rect(x, y, cols * HIST_CELL_W + 20, rows * HIST_CELL_H + 34, 12);
 
-    let best = -1;
-    let bestD2 = Infinity;
+  fill(255);
+  textSize(12);
+  textAlign(LEFT, BASELINE);
+  text("Genes across AI probes   H: hide", x + 12, y + 18);
+
+  for (let k = 0; k < DNA_TRAITS.length; k++) {
+    const gene = DNA_TRAITS[k];
+    const h = histCache[gene];
+    const cx = x + 12 + (k % cols) * HIST_CELL_W;
+    const cy = y + 28 + floor(k / cols) * HIST_CELL_H;
+    const pw = HIST_CELL_W - 16,
+      ph = HIST_CELL_H - 30;
+
+    fill(220);
+    textSize(11);
+    text(`${gene}  mean ${formatGene(h.mean)}`, cx, cy + 10);
+
+    let maxCount = 1;
+    for (let b = 0; b < HIST_BINS; b++) maxCount = max(maxCount, h.counts[b]);
+
+    const bw = pw / HIST_BINS;
+    fill(140, 200, 255, 200);
+    for (let b = 0; b < HIST_BINS; b++) {
+      const bh = (h.counts[b] / maxCount) * ph;
+      if (bh > 0) rect(cx + b * bw, cy + 14 + ph - bh, max(1, bw - 1), bh);
+    }
 
-    for (let n = 0; n < neigh.length; n++) {
-      const cell = resGrid[neigh[n]];
-      for (let k = 0; k < cell.length; k++) {
-        const ridx = cell[k];
-        const r = resources[ridx];
-        if (!r || r.amt <= 0.001) continue;
+    stroke(255, 230, 150, 220);
+    strokeWeight(1);
+    const mx = cx + constrain((h.mean - h.min) / max(h.max - h.min, 1e-9), 0, 1) * pw;
+    line(mx, cy + 14, mx, cy + 14 + ph);
+    noStroke();
 
-        const dx = wrapDeltaFast(r.x - this.x, WORLD.w);
-        const dy = wrapDeltaFast(r.y - this.y, WORLD.h);
-        const touch = PROBE_RADIUS + r.radius + TOUCH_PAD;
-        const d2 = dx * dx + dy * dy;
+    fill(160);
+    textSize(9);
+    textAlign(LEFT, TOP);
+    text(formatGene(h.min), cx, cy + 15 + ph);
+    textAlign(RIGHT, TOP);
+    text(formatGene(h.max), cx + pw, cy + 15 + ph);
+    textAlign(LEFT, BASELINE);
+  }
+}
 
-        if (d2 <= touch * touch && d2 < bestD2) {
-          bestD2 = d2;
-          best = ridx;
-        }
-      }
-    }
+function formatGene(v) {
+  return abs(v) >= 100 ? v.toFixed(0) : v.toFixed(2);
+}
 
-    if (best >= 0) this._harvestFrom(best, dt);
+// ---------------- Lineage viewer ----------------
+
+// Family tree of the focused probe (or the last clicked row): its ancestry, descendants a few
+// generations down, and the largest lineages rooted at generation `lineageDepth` (0 = founders),
+// extinct ones included. Shares are of the living population. Click a row to view that probe.
+const LINEAGE_X = 10;
+const LINEAGE_Y = 256;
+const LINEAGE_W = 430;
+const LINEAGE_ROW_H = 15;
+const LINEAGE_TREE_DEPTH = 3;
+const LINEAGE_MAX_CHILDREN = 4;
+const LINEAGE_TREE_ROWS = 14; // the tree stops here, biggest branches first
+const LINEAGE_TOP = 6;
+const LINEAGE_REFRESH_FRAMES = 30;
+let showLineage = false;
+let lineageSubject = null; // probe id; null = follow camFocus
+let lineageDepth = 0;
+let lineageCache = null;
+let lineageFrame = -Infinity;
+let lineageRows = []; // rows from the last draw: { text, id, indent }
+
+function drawLineageViewer() {
+  if (!showLineage) return;
+
+  let tree = lineageCache;
+  const wanted = lineageSubject != null ? lineageSubject : camFocus.id;
+  if (!tree || frameCount - lineageFrame >= LINEAGE_REFRESH_FRAMES || wanted >= tree.n || tree.tick > simTick) {
+    if (simWorker) requestWorkerLineage();
+    else tree = lineageCache = lineageTree();
+    lineageFrame = frameCount;
   }
+  if (!tree) return;
+  const id = wanted < tree.n ? wanted : camFocus.id;
+  if (id >= tree.n) return; // born after the worker's last lineage copy
 
-  _harvestFrom(ridx, dt) {
-    const r = resources[ridx];
-    if (!r || r.amt <= 0.001) return;
+  lineageRows = buildLineageRows(tree, id);
 
-    const take = min(r.amt, this.dna.harvest * dt);
+  noStroke();
+  fill(0, 170);
+  rect(LINEAGE_X, LINEAGE_Y, LINEAGE_W, lineageRows.length * LINEAGE_ROW_H + 16, 12);
+
+  textSize(11);
+  textAlign(LEFT, BASELINE);
+  for (let i = 0; i < lineageRows.length; i++) {
+    const row = lineageRows[i];
+    const ry = LINEAGE_Y + 20 + i * LINEAGE_ROW_H;
+    if (row.id == null) fill(row.header ? 255 : 200);
+    else if (lineageInfo(row.id).diedT != null) fill(130);
+    else {
+      const c = factions[lineageInfo(row.id).faction].color;
+      fill(c[0], c[1], c[2]);
+    }
+    text(row.text, LINEAGE_X + 12 + row.indent * 14, ry);
+  }
+}
 
-    r.amt -= take;
-    this.resources += take;
-    systemRemainingTotal = max(0, systemRemainingTotal - take);
+function buildLineageRows(tree, id) {
+  const rows = [];
+  const info = lineageInfo(id);
+  const living = max(1, localPopulation());
+  const status = info.diedT != null ? `died ${formatSimTime(info.diedT)}` : "alive";
+
+  rows.push({ text: `Lineage of #${id}   T: hide   [ ]: lineage depth   click: view probe`, header: true, indent: 0 });
+  rows.push({
+    text: `faction ${info.faction}  gen ${info.gen}  born ${formatSimTime(info.bornT)} in system ${info.bornSystem}  ${status}`,
+    indent: 0,
+  });
+  rows.push({ text: `Descendants: ${tree.desc[id]} (${lineageAliveBelow(tree, id)} alive)`, indent: 0 });
+
+  const chain = lineageAncestors(id);
+  if (chain.length > 1) {
+    rows.push({ text: `Founder: #${chain[0]}   ancestry: ${formatChain(chain)}`, id: chain[0], indent: 0 });
+    rows.push({ text: `Parent: #${info.parent}`, id: info.parent, indent: 0 });
+  }
 
-    if (r.amt <= 0.001) {
-      r.amt = 0;
-      deactivateResource(ridx);
-      if (this.target === ridx) this.target = -1;
-    }
+  rows.push({ text: "Descendant tree:", header: true, indent: 0 });
+  addTreeRows(rows, tree, id, 1, LINEAGE_TREE_DEPTH, rows.length + LINEAGE_TREE_ROWS);
+
+  rows.push({ text: `Largest lineages from generation ${lineageDepth}:`, header: true, indent: 0 });
+  const top = topLineages(tree, lineageDepth, LINEAGE_TOP);
+  if (top.length === 0) rows.push({ text: "(none yet)", indent: 1 });
+  for (const r of top) {
+    const ri = lineageInfo(r);
+    const alive = tree.alive[r];
+    const share = alive > 0 ? `${alive} alive (${((alive / living) * 100).toFixed(1)}%)` : "extinct";
+    rows.push({ text: `#${r}  faction ${ri.faction}  sys ${ri.bornSystem}  ${tree.desc[r]} desc  ${share}`, id: r, indent: 1 });
   }
+  return rows;
+}
 
-  tryAutoReplicate(dt) {
-    if (this.dead || this.isPlayer) return;
-    if (dt <= 0) return;
-    if (probes.length >= HARD_PROBE_CAP) return;
-    if (master.state !== "NORMAL") return;
-    if (this.replCooldown > 0) return;
+// Children sorted by lineage size, LINEAGE_MAX_CHILDREN per level, until rows reaches maxRows
+function addTreeRows(rows, tree, id, indent, depth, maxRows) {
+  if (depth <= 0) return;
+  const kids = lineageChildren(tree, id).sort((a, b) => tree.desc[b] - tree.desc[a] || a - b);
+  if (kids.length === 0 && indent === 1) rows.push({ text: "(no children)", indent });
 
-    const cost = replicateCost(); // fixed 100 for everyone
-    if (this.resources >= cost * 1.08) {
-      this.replicate(cost);
-      this.replCooldown = rand(1.8, 3.4);
+  const shown = min(kids.length, LINEAGE_MAX_CHILDREN);
+  for (let i = 0; i < shown; i++) {
+    if (rows.length >= maxRows) {
+      rows.push({ text: `+${kids.length - i} more`, indent });
+      return;
     }
+    const k = kids[i];
+    rows.push({ text: `#${k}  gen ${lineageInfo(k).gen}  ${tree.desc[k]} desc, ${tree.alive[k]} alive`, id: k, indent });
+    addTreeRows(rows, tree, k, indent + 1, depth - 1, maxRows);
   }
+  if (kids.length > shown) rows.push({ text: `+${kids.length - shown} more`, indent });
+}
 
-  replicate(cost) {
-    if (probes.length >= HARD_PROBE_CAP) return;
-    if (this.resources < cost) return;
-    if (master.state !== "NORMAL") return;
+// tree.alive counts the probe itself; "alive" in the header means its living descendants
+function lineageAliveBelow(tree, id) {
+  return tree.alive[id] - (lineageInfo(id).diedT == null ? 1 : 0);
+}
 
-    this.resources -= cost;
+function formatChain(chain) {
+  const ids = chain.map((a) => `#${a}`);
+  return ids.length <= 6 ? ids.join(" > ") : `${ids.slice(0, 2).join(" > ")} > ... > ${ids.slice(-3).join(" > ")}`;
+}
 
-    const a = rand(0, TWO_PI);
-    const m = rand(22, 45);
-    const cx = wrap01Fast(this.x + cos(a) * m, WORLD.w);
-    const cy = wrap01Fast(this.y + sin(a) * m, WORLD.h);
+// Click on a row with a probe id: view that probe's lineage
+function lineageClick(mx, my) {
+  if (!showLineage || mx < LINEAGE_X || mx > LINEAGE_X + LINEAGE_W) return false;
+  const i = floor((my - LINEAGE_Y - 20 + LINEAGE_ROW_H * 0.75) / LINEAGE_ROW_H);
+  if (i < 0 || i >= lineageRows.length || lineageRows[i].id == null) return false;
+  lineageSubject = lineageRows[i].id;
+  return true;
+}
 
-    const childDNA = mutateDNA(this.dna);
-    const child = new Probe(cx, cy, false, childDNA);
-    child.resources = CHILD_START_RES;
+// ---------------- Galaxy map ----------------
 
-    const av = rand(0, TWO_PI);
-    const mv = rand(30, 90);
-    child.vx = cos(av) * mv;
-    child.vy = sin(av) * mv;
+// M: the galaxy (GALAXY_ON runs). Lanes join the systems; the route so far is drawn in green.
+// Visited or colonized systems are filled, brighter the more they have left; surveyed ones (next
+// to a visited system) are rings sized by richness; the rest are dim dots. Populated systems are
+// labeled with their probe count. While the player's swarm charges, clicking a system along a
+// lane from here makes it the destination.
+const GALAXY_MAP_MARGIN = 60;
+const GALAXY_MAP_PICK_R = 12; // pixels
+let showGalaxyMap = false;
 
-    probes.push(child);
-  }
+function galaxyMapRect() {
+  const size = min(width, height) - GALAXY_MAP_MARGIN * 2;
+  return { x: (width - size) / 2, y: (height - size) / 2, size };
+}
 
-  beginSacrifice(wp) {
-    if (this.isPlayer) return;
-    this.sacrificing = true;
-    this.sacrificeT = rand(0.7, 1.25);
-    this.waypoint = wp;
-    this.target = -1;
-  }
+function galaxyMapXY(sys, r) {
+  return [r.x + (sys.x / GALAXY_SIZE) * r.size, r.y + (sys.y / GALAXY_SIZE) * r.size];
+}
 
-  sacrificeBehavior(dt) {
-    if (this.waypoint) {
-      const dx = wrapDeltaFast(this.waypoint.x - this.x, WORLD.w);
-      const dy = wrapDeltaFast(this.waypoint.y - this.y, WORLD.h);
-      const d2 = dx * dx + dy * dy;
+function drawGalaxyMap() {
+  if (!showGalaxyMap || !galaxy) return;
+  const r = galaxyMapRect();
+  const systems = galaxy.systems;
 
-      if (d2 > 1) {
-        const inv = 1 / sqrt(d2);
-        const ux = dx * inv,
-          uy = dy * inv;
-        const accel = this.dna.accel * 1.1;
-        this.vx += ux * accel * dt;
-        this.vy += uy * accel * dt;
-        this.heading = atan2(uy, ux);
-      }
+  noStroke();
+  fill(0, 215);
+  rect(r.x - 24, r.y - 44, r.size + 48, r.size + 76, 12);
+
+  strokeWeight(1);
+  for (let i = 0; i < galaxy.links.length; i++) {
+    const [ax, ay] = galaxyMapXY(systems[i], r);
+    for (const j of galaxy.links[i]) {
+      if (j < i) continue;
+      const [bx, by] = galaxyMapXY(systems[j], r);
+      stroke(255, systems[i].visits > 0 || systems[j].visits > 0 ? 70 : 25);
+      line(ax, ay, bx, by);
     }
-
-    clampVel(this, this.dna.maxSpeed * 1.15);
-
-    this.sacrificeT -= dt;
-    if (this.sacrificeT <= 0) this.dead = true;
   }
 
-  drawAt(px, py, simplify, camX, camY) {
-    const r = PROBE_RADIUS;
+  stroke(120, 255, 140, 150);
+  strokeWeight(2);
+  for (let i = 1; i < galaxy.route.length; i++) {
+    const [ax, ay] = galaxyMapXY(systems[galaxy.route[i - 1][1]], r);
+    const [bx, by] = galaxyMapXY(systems[galaxy.route[i][1]], r);
+    line(ax, ay, bx, by);
+  }
 
-    // Sacrifice beam (keep, but only for visible probes)
-    if (this.sacrificing && master.waypoint) {
-      const wx = wrapDeltaFast(master.waypoint.x - camX, WORLD.w);
-      const wy = wrapDeltaFast(master.waypoint.y - camY, WORLD.h);
+  if (galaxy.destination >= 0) {
+    const [ax, ay] = galaxyMapXY(systems[galaxy.current], r);
+    const [bx, by] = galaxyMapXY(systems[galaxy.destination], r);
+    stroke(255, 210, 120);
+    strokeWeight(3);
+    line(ax, ay, bx, by);
+  }
 
-      const a = map(this.sacrificeT, 0, 1.25, 0, 120, true);
-      stroke(255, 210, 120, a);
-      strokeWeight(2);
-      line(px, py, wx, wy);
+  for (let i = 0; i < systems.length; i++) {
+    const sys = systems[i];
+    const [x, y] = galaxyMapXY(sys, r);
+    const d = 6 + 8 * sys.richness;
+    const pop = systemPopulation(i);
+    if (sys.visits > 0 || pop > 0) {
       noStroke();
-    }
-
-    // Visual LOD (mechanics unchanged)
-    if (simplify && !this.isPlayer && this !== camFocus) {
+      fill(90 + 165 * sys.remaining, 150 + 105 * sys.remaining, 255, 230);
+      circle(x, y, d);
+    } else if (systemSurveyed(i)) {
+      noFill();
+      stroke(200, 200, 255, 180);
+      strokeWeight(1.5);
+      circle(x, y, d);
+    } else {
       noStroke();
-      fill(140, 200, 255, this.sacrificing ? 110 : 170);
-      circle(px, py, 4);
-      if (this === camFocus) {
-        noFill();
-        stroke(255, 230, 120, 160);
-        strokeWeight(2);
-        circle(px, py, r * 3.2);
-      }
-      return;
+      fill(255, 70);
+      circle(x, y, 4);
     }
 
-    const fade = this.sacrificing ? map(this.sacrificeT, 0, 1.25, 0, 1, true) : 1;
-
-    // Glow
-    noStroke();
-    if (this.isPlayer) fill(120, 255, 140, 38 * fade);
-    else fill(140, 200, 255, 28 * fade);
-    circle(px, py, r * 4.0);
-
-    // Ship
-    push();
-    translate(px, py);
-    rotate(this.heading);
-
-    if (this.isPlayer) fill(120, 255, 140, 220 * fade);
-    else fill(140, 200, 255, 200 * fade);
-
-    stroke(255, 80 * fade);
-    strokeWeight(1.2);
-
-    beginShape();
-    vertex(r * 1.35, 0);
-    vertex(-r * 0.9, r * 0.9);
-    vertex(-r * 0.55, 0);
-    vertex(-r * 0.9, -r * 0.9);
-    endShape(CLOSE);
-
-    noStroke();
-    fill(255, 220 * fade);
-    circle(-r * 0.2, 0, r * 0.75);
-
-    pop();
-
-    // Optional target line (navigation after radar)
-    if (!this.isPlayer && master.state === "NORMAL" && this.target >= 0) {
-      const tr = resources[this.target];
-      if (tr && tr.amt > 0.001) {
-        const tx = wrapDeltaFast(tr.x - camX, WORLD.w);
-        const ty = wrapDeltaFast(tr.y - camY, WORLD.h);
-        stroke(160, 210, 255, 18);
-        line(px, py, tx, ty);
-        noStroke();
-      }
+    if (pop > 0) {
+      noStroke();
+      fill(120, 255, 140);
+      textSize(11);
+      text(`${pop}`, x + d / 2 + 5, y + 4);
     }
 
-    // Focus ring
-    if (this === camFocus) {
+    if (i === galaxy.current || i === galaxy.destination) {
       noFill();
-      stroke(255, 230, 120, 160);
+      const c = i === galaxy.current ? [120, 255, 140] : [255, 210, 120];
+      stroke(c[0], c[1], c[2]);
       strokeWeight(2);
-      circle(px, py, r * 3.2);
+      circle(x, y, d + 10);
     }
   }
+
+  noStroke();
+  textAlign(LEFT, BASELINE);
+  textSize(14);
+  fill(255);
+  const popText = COLONIES_ON ? `, ${galaxyPopulation()} probes in ${populatedSystemCount()}` : "";
+  text(`Galaxy: ${systems.length} systems, ${galaxyVisitedCount()} visited${popText}   (M: close)`, r.x - 8, r.y - 22);
+  textSize(12);
+  fill(220);
+  const hint =
+    master.state === "CHARGE" && !replayPlay
+      ? "Click a system along a lane from here to warp there"
+      : "The destination can be changed while the warp charges";
+  text(hint, r.x - 8, r.y + r.size + 24);
+
+  const hover = galaxyMapHover(mouseX, mouseY);
+  if (hover >= 0) {
+    fill(255, 230, 150);
+    text(galaxySystemInfo(hover), r.x - 8, r.y - 6);
+  }
 }
 
-// Precompute damping for fixed dt (hot path)
-const DAMP_FACTOR = Math.pow(0.35, FIXED_DT);
+function galaxyVisitedCount() {
+  let n = 0;
+  for (let i = 0; i < galaxy.systems.length; i++) if (galaxy.systems[i].visits > 0) n++;
+  return n;
+}
 
-function clampVel(p, maxSpeed) {
-  const v2 = p.vx * p.vx + p.vy * p.vy;
-  const ms2 = maxSpeed * maxSpeed;
-  if (v2 > ms2) {
-    const inv = maxSpeed / sqrt(v2);
-    p.vx *= inv;
-    p.vy *= inv;
-  }
+function populatedSystemCount() {
+  let n = 0;
+  for (let i = 0; i < galaxy.systems.length; i++) if (systemPopulation(i) > 0) n++;
+  return n;
 }
 
-// Remove dead sacrificed probes in one compaction pass
-function purgeSacrificed() {
-  let w = 0;
-  let died = 0;
+function galaxySystemInfo(id) {
+  const sys = galaxy.systems[id];
+  const pop = systemPopulation(id);
+  const dist = (id === galaxy.current ? "here" : `${distanceTo(id).toFixed(1)} ly`) + (pop > 0 ? `   ${pop} probes` : "");
+  if (!systemSurveyed(id)) return `#${id}   ${dist}   unexplored`;
+  const profile = `richness ${sys.richness.toFixed(2)}   ${sys.clusters} clusters`;
+  if (sys.visits === 0) return `#${id}   ${dist}   ${profile}   ${pop > 0 ? "colony only" : "not visited"}`;
+  const left = id === galaxy.current ? "" : `, ${(sys.remaining * 100).toFixed(0)}% left`;
+  return `#${id}   ${dist}   ${profile}   visited ${sys.visits}x${left}`;
+}
 
-  for (let i = 0; i < probes.length; i++) {
-    const p = probes[i];
-    if (p.dead) {
-      died++;
-      continue;
+// Nearest system within GALAXY_MAP_PICK_R of the mouse, or -1
+function galaxyMapHover(mx, my) {
+  const r = galaxyMapRect();
+  let best = -1;
+  let bestD2 = GALAXY_MAP_PICK_R * GALAXY_MAP_PICK_R;
+  for (let i = 0; i < galaxy.systems.length; i++) {
+    const [x, y] = galaxyMapXY(galaxy.systems[i], r);
+    const d2 = (x - mx) * (x - mx) + (y - my) * (y - my);
+    if (d2 <= bestD2) {
+      bestD2 = d2;
+      best = i;
     }
-    probes[w++] = p;
-  }
-
-  if (died > 0) {
-    probes.length = w;
-    master.sacrificed += died;
-    if (camFocus && camFocus.dead) camFocus = player;
   }
+  return best;
 }
 
-// ---------------- Input ----------------
-
-function keyPressed() {
-  if (key === "p" || key === "P") paused = !paused;
-
-  if ((key === " " || key === "r" || key === "R") && !paused) {
-    if (master.state !== "NORMAL") return;
+function galaxyMapClick(mx, my) {
+  if (!showGalaxyMap || !galaxy) return false;
+  const id = galaxyMapHover(mx, my);
+  if (id < 0 || replayPlay) return id >= 0;
+  simCall([["chooseDestination", id]], (ok) => {
+    if (ok) flashMessage(`Destination: #${id} (${distanceTo(id).toFixed(1)} ly)`);
+    else if (id !== galaxy.current) flashMessage("Pick a system along a lane from here, while the warp charges");
+  });
+  return true;
+}
 
-    const cost = replicateCost();
-    if (player.resources >= cost && probes.length < HARD_PROBE_CAP) player.replicate(cost);
+// ---------------- Worker ----------------
+
+// Where the browser allows it, simworker.js owns the simulation and steps it on its own clock:
+// drawing and stepping no longer hold each other up. The sim.js globals this file reads (probes,
+// resources, factions, galaxy, telemetry, ...) are then a mirror, refreshed from the worker's
+// frames, and everything that changes the run goes through simCall. ?worker=0 keeps the
+// simulation on this thread, as does a worker that fails to start.
+let simWorker = null;
+let workerStart = null; // { seed, config } until the worker's first run, to start here instead if it fails
+let workerFrameAsked = false;
+let workerCallId = 0;
+let workerPending = {}; // call id -> { done, fail }
+let workerInputSent = "";
+let workerLineageAsked = false;
+
+function startWorker() {
+  if (typeof Worker === "undefined" || typeof location === "undefined") return false;
+  if (new URLSearchParams(location.search).get("worker") === "0") return false;
+  try {
+    simWorker = new Worker("simworker.js");
+  } catch (e) {
+    simWorker = null; // e.g. pages opened from file://
+    return false;
   }
+  simWorker.onmessage = (e) => onWorkerMessage(e.data);
+  simWorker.onerror = (e) => {
+    e.preventDefault();
+    if (workerStart) runWithoutWorker();
+    else flashMessage(`Simulation worker: ${e.message}`);
+  };
+  return true;
+}
 
-  if (key === "c" || key === "C") cycleFocus();
+function runWithoutWorker() {
+  const { seed, config } = workerStart;
+  simWorker.terminate();
+  simWorker = null;
+  workerStart = null;
+  workerPending = {};
+  startSim(seed, config);
 }
 
-function cycleFocus() {
-  if (probes.length <= 1) {
-    camFocus = player;
+// Runs sim.js calls ([name, ...args] each, in order) wherever the simulation lives. done gets
+// the last one's result: right away here, a few frames later from the worker. fail gets the
+// first error (without it, errors are thrown here and flashed from the worker).
+function simCall(calls, done, fail) {
+  if (simWorker) {
+    const id = ++workerCallId;
+    workerPending[id] = { done, fail };
+    simWorker.postMessage({ type: "call", id, calls });
     return;
   }
 
-  // Find current focus index (O(n), but user-triggered, not hot path)
-  let idx = -1;
-  for (let i = 0; i < probes.length; i++) {
-    if (probes[i] === camFocus) {
-      idx = i;
-      break;
-    }
-  }
-  if (idx < 0) {
-    camFocus = player;
+  let result;
+  try {
+    for (const [name, ...args] of calls) result = globalThis[name](...args);
+  } catch (e) {
+    if (!fail) throw e;
+    fail(e);
     return;
   }
-
-  // Next probe (skip dead)
-  for (let step = 1; step <= probes.length; step++) {
-    const p = probes[(idx + step) % probes.length];
-    if (!p.dead) {
-      camFocus = p;
-      return;
-    }
-  }
-
-  camFocus = player;
+  if (done) done(result);
 }
 
-function mouseWheel(e) {
-  const factor = 1 - e.delta * 0.0012;
-  zoom *= factor;
-  zoom = constrain(zoom, 0.35, 2.2);
+// Frames that arrive before the worker answers every call may show the run from before them
+function workerBehind() {
+  for (const id in workerPending) return true;
   return false;
 }
 
-// ---------------- Wrapping helpers (FAST) ----------------
+function setPaused(p) {
+  paused = p;
+  if (p) simClock.ffwd = null; // (the worker drops its own)
+  if (simWorker) simWorker.postMessage({ type: "pause", paused });
+}
 
-// Fast wrap for values that won't jump more than a world-size in one step.
-// With FIXED_DT and speed caps, this is safe and avoids % in hot path.
-function wrap01Fast(v, size) {
-  if (v < 0) v += size;
-  else if (v >= size) v -= size;
-  // In the extremely rare case of huge jumps (e.g., external edits), fix with modulo
-  if (v < 0 || v >= size) {
-    v = v % size;
-    if (v < 0) v += size;
+// Once per draw: one frame request in flight at a time, plus the keyboard when it changed.
+// False until the worker's first run has arrived.
+function syncWorker() {
+  if (workerStart) return false;
+  if (!workerFrameAsked) {
+    workerFrameAsked = true;
+    simWorker.postMessage({ type: "frame" });
   }
-  return v;
+
+  if (!replayPlay && !paused) sendWorkerInput();
+  return true;
 }
 
-// Inputs are always in [-size, size] because x,y are in [0,size)
-function wrapDeltaFast(d, size) {
-  const half = size * 0.5;
-  if (d > half) d -= size;
-  else if (d < -half) d += size;
-  return d;
+// The keyboard, when it changed
+function sendWorkerInput() {
+  readPlayerInput();
+  const input = `${playerInput.ax},${playerInput.ay},${playerInput.boost}`;
+  if (input !== workerInputSent || playerInput.replicate) {
+    simWorker.postMessage({ type: "input", ax: playerInput.ax, ay: playerInput.ay, boost: playerInput.boost, replicate: playerInput.replicate });
+    playerInput.replicate = false;
+    workerInputSent = input;
+  }
 }
 
-function distWrapped(ax, ay, bx, by) {
-  const dx = wrapDeltaFast(bx - ax, WORLD.w);
-  const dy = wrapDeltaFast(by - ay, WORLD.h);
-  return sqrt(dx * dx + dy * dy);
+function onWorkerMessage(msg) {
+  if (msg.type === "frame") {
+    workerFrameAsked = false;
+    applyWorkerFrame(msg.frame);
+  } else if (msg.type === "reset") {
+    // A new run: its config and seed, then a fresh mirror
+    workerStart = null;
+    applyConfig(msg.config);
+    simSeed = msg.seed;
+    resetTelemetry();
+    resetLineage();
+    _probeId = 0;
+    lineageCache = null;
+    histCache = null;
+    workerInputSent = "";
+    applyWorkerFrame(msg.frame);
+  } else if (msg.type === "reply") {
+    const call = workerPending[msg.id];
+    delete workerPending[msg.id];
+    if (msg.error != null) {
+      if (call.fail) call.fail(new Error(msg.error));
+      else flashMessage(msg.error);
+    } else if (call.done) call.done(msg.result);
+  }
 }
 
-// ---------------- Spatial grid ----------------
+// Frame layout: simworker.js postFrame
+function applyWorkerFrame(f) {
+  simTick = f.tick;
+  systemIndex = f.systemIndex;
+  systemInitialTotal = f.systemInitialTotal;
+  systemRemainingTotal = f.systemRemainingTotal;
+  systemInflowTotal = f.systemInflowTotal;
+  simStats = f.stats;
+  if (f.comms) commsStats = f.comms;
+  galaxy = f.galaxy;
+
+  // Warp machines keep spinning (their spin is visual, so the worker never advances it)
+  factions = f.factions.map((sf, i) => {
+    const m = restoreMaster(sf.master);
+    const old = factions[i] && factions[i].master.warpMachine;
+    if (m.warpMachine && old) {
+      m.warpMachine.spin = old.spin;
+      m.warpMachine.pulse = old.pulse;
+    }
+    return { id: sf.id, color: sf.color, start: sf.start, count: sf.count, master: m };
+  });
+  master = factions[0].master;
+
+  // The player and focus in full (the HUD reads cargo and genes); the store only has the
+  // columns drawProbeAt reads
+  player = f.player;
+  camFocus = f.focus || player;
+  focusId = f.focusId;
+  probes = f.probes;
+  hybridField = f.hybrid; // just { n, density }: all the renderer reads
+  fieldDensity = f.hybrid ? f.hybrid.density : null;
+
+  const fr = f.resources;
+  if (fr.fixed) {
+    const fx = fr.fixed;
+    resources = new Array(fx.id.length);
+    for (let i = 0; i < fx.id.length; i++) resources[i] = newResource(fx.id[i], fx.kind[i], fx.x[i], fx.y[i], fx.maxAmt[i], fx.mat[i]);
+  }
+  for (let i = 0; i < resources.length; i++) resources[i].amt = fr.amt[i];
+  resourceActive = fr.active;
 
-function initResGrid() {
-  resGridW = ceil(WORLD.w / RES_CELL);
-  resGridH = ceil(WORLD.h / RES_CELL);
-  resGrid = Array.from({ length: resGridW * resGridH }, () => []);
-}
+  if (f.telemetry.reset) resetTelemetry();
+  for (const s of f.telemetry.samples) telemetry.samples.push(s);
+  for (const t of f.telemetry.transitions) telemetry.transitions.push(t);
 
-function cellIndexForPos(x, y) {
-  // x,y already wrapped to [0,size)
-  let cx = (x / RES_CELL) | 0;
-  let cy = (y / RES_CELL) | 0;
-  if (cx >= resGridW) cx = resGridW - 1;
-  if (cy >= resGridH) cy = resGridH - 1;
-  return cx + cy * resGridW;
+  replayPlay = f.replay ? { step: f.replay.step, replay: { steps: f.replay.steps, seed: f.replay.seed } } : null;
+  replaySeekTo = f.seekTo;
+  rewindLine = f.rewind;
+  simClock = f.clock;
 }
 
-function gridAddResource(idx) {
-  const r = resources[idx];
-  const ci = cellIndexForPos(r.x, r.y);
-  const cell = resGrid[ci];
-  r._gridCell = ci;
-  r._gridIndex = cell.length;
-  cell.push(idx);
+// The lineage viewer works on a copy of the worker's lineage columns
+function requestWorkerLineage() {
+  if (workerLineageAsked) return;
+  workerLineageAsked = true;
+  simCall(
+    [["lineageColumns"]],
+    (cols) => {
+      workerLineageAsked = false;
+      lineage = Object.assign({ cap: cols.n }, cols);
+      _probeId = cols.n;
+      lineageCache = lineageTree();
+    },
+    () => (workerLineageAsked = false)
+  );
 }
 
-function gridRemoveResource(idx) {
-  const r = resources[idx];
-  const ci = r._gridCell;
-  const gi = r._gridIndex;
-  if (ci == null || gi == null || ci < 0 || gi < 0) return;
-
-  const cell = resGrid[ci];
-  const last = cell.length - 1;
-  const lastIdx = cell[last];
-
-  cell[gi] = lastIdx;
-  resources[lastIdx]._gridIndex = gi;
+// ---------------- Config ----------------
 
-  cell.pop();
-  r._gridCell = -1;
-  r._gridIndex = -1;
+// Every URL parameter except seed is a config setting (sim.js CONFIG_SCHEMA)
+function configFromUrl() {
+  if (typeof location === "undefined") return {};
+  const pairs = [];
+  for (const [k, v] of new URLSearchParams(location.search)) if (k !== "seed" && k !== "worker" && k !== "gl") pairs.push([k, v]);
+  return configFromPairs(pairs);
 }
 
-function buildNeighborLists() {
-  const totalCells = resGridW * resGridH;
-
-  // Radar neighbors: within R cells (based on RADAR_RANGE and RES_CELL)
-  const R = ceil(RADAR_RANGE / RES_CELL) + 1;
-
-  radarCellNeighbors = Array.from({ length: totalCells }, () => []);
-  harvestCellNeighbors = Array.from({ length: totalCells }, () => []);
-
-  for (let cy = 0; cy < resGridH; cy++) {
-    for (let cx = 0; cx < resGridW; cx++) {
-      const ci = cx + cy * resGridW;
-
-      // Radar neighbors
-      const rn = radarCellNeighbors[ci];
-      for (let oy = -R; oy <= R; oy++) {
-        const ncy = mod(cy + oy, resGridH);
-        for (let ox = -R; ox <= R; ox++) {
-          const ncx = mod(cx + ox, resGridW);
-          rn.push(ncx + ncy * resGridW);
-        }
-      }
-
-      // Harvest neighbors: 3x3
-      const hn = harvestCellNeighbors[ci];
-      for (let oy = -1; oy <= 1; oy++) {
-        const ncy = mod(cy + oy, resGridH);
-        for (let ox = -1; ox <= 1; ox++) {
-          const ncx = mod(cx + ox, resGridW);
-          hn.push(ncx + ncy * resGridW);
-        }
-      }
-    }
+// New run with the same seed and a config from a JSON file (keys as in CONFIG_SCHEMA)
+function restartWithConfig(raw) {
+  try {
+    validateConfig(raw);
+  } catch (e) {
+    flashMessage(e.message);
+    hudMessageT = 10;
+    return;
   }
+  simCall([["initSim", { seed: simSeed, config: raw }], ["startRecording"], ["startRewind"]], () => {
+    makeStars();
+    resetClock();
+    flashMessage(`Restarted with ${Object.keys(raw).length} config setting(s)`);
+  });
 }
 
-function mod(n, m) {
-  n = n % m;
-  if (n < 0) n += m;
-  return n;
+// ---------------- Helpers ----------------
+
+// Opens a file picker and hands the parsed JSON to onLoad
+function openJsonFile(onLoad) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.onchange = () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    file.text().then(
+      (txt) => {
+        let obj;
+        try {
+          obj = JSON.parse(txt);
+        } catch (e) {
+          flashMessage(`${file.name}: ${e.message}`);
+          return;
+        }
+        onLoad(obj);
+      },
+      (e) => flashMessage(`${file.name}: ${e.message}`)
+    );
+  };
+  input.click();
 }
 
-// ---------------- RNG helpers ----------------
+function flashMessage(msg) {
+  hudMessage = msg;
+  hudMessageT = 3;
+}
 
-function rand(a, b) {
-  return a + (b - a) * Math.random();
+// ?seed=... in the page URL, otherwise a fresh random seed (shown in the HUD)
+function seedFromUrl() {
+  if (typeof location !== "undefined") {
+    const q = new URLSearchParams(location.search).get("seed");
+    if (q != null && q !== "") return parseSeed(q);
+  }
+  return (Math.random() * 4294967296) >>> 0;
 }